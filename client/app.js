@@ -1,16 +1,66 @@
 // ===== GUARDFIN AI - MAIN APPLICATION =====
 // Privacy-first financial planner with AI agent capabilities
 
-const API_URL = 'http://localhost:3001';
+// Sync server for accounts that have not picked one in Settings. A Guardfin
+// server that serves the client itself marks the page, and then it is the default.
+const DEFAULT_SERVER_URL = document.querySelector('meta[name="guardfin-server"]')
+    ? location.origin
+    : 'http://localhost:3001';
+
+// Max docs per POST /api/changes request
+const SYNC_BATCH_SIZE = 200;
+// Pull-and-push rounds before giving up on a vault other devices keep changing
+const SYNC_MAX_ATTEMPTS = 3;
+// Reconnect backoff for the live change feed
+const LIVE_RETRY_MIN = 2000;
+const LIVE_RETRY_MAX = 60000;
+// Chat turns kept on the device, and how many recent ones go with each message
+const CHAT_HISTORY_MAX = 50;
+const CHAT_WINDOW = 8;
+const CHAT_TURN_MAX_LENGTH = 500;
+// Data requests the agent may make per chat message; the server enforces the same limit
+const TOOL_CALLS_MAX = 3;
+
+// Shared with the server's local parser (date-parser.js)
+const { WEEKDAYS, MONTHS, extractDate, dateRange, fromISODate } = window.GuardfinDates;
+
+// Reads a text/event-stream response, calling onEvent(event, data) with the
+// parsed JSON data of each event until the server ends the stream
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        for (const event of events) {
+            const fields = {};
+            for (const line of event.split('\n')) {
+                const colon = line.indexOf(':');
+                if (colon > 0) fields[line.slice(0, colon)] = line.slice(colon + 1).trim();
+            }
+            if (fields.event && fields.data) await onEvent(fields.event, JSON.parse(fields.data));
+        }
+    }
+}
 
 // ===== CRYPTO MODULE =====
 class SecureCrypto {
     constructor() {
         this.key = null;
+        this.authKey = null;
+        this.legacyAuthKey = null;
         this.accountId = null;
         this.salt = null;
     }
 
+    toHex(bytes) {
+        return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
     generateUUID() {
         const arr = new Uint8Array(16);
         crypto.getRandomValues(arr);
@@ -59,6 +109,57 @@ class SecureCrypto {
         return { version: '1.0', algorithm: 'AES-GCM', iv: Array.from(iv), data: Array.from(new Uint8Array(encrypted)), timestamp: Date.now() };
     }
 
+    // HKDF branch off the PBKDF2 output, separate from the AES key
+    async hkdf(verifier, salt, info) {
+        const base = await crypto.subtle.importKey('raw', new Uint8Array(verifier), 'HKDF', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(info) },
+            base,
+            256
+        );
+        return new Uint8Array(bits);
+    }
+
+    // Ed25519 key pair seeded from its own HKDF branch. The server keeps the
+    // public key to check challenge signatures; it can't sign with it or get
+    // the AES key from it.
+    async deriveAuthKey(verifier, salt) {
+        const seed = await this.hkdf(verifier, salt, 'guardfin-auth-v2');
+        // PKCS#8 wrapping of a raw Ed25519 seed
+        const pkcs8 = new Uint8Array([0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20, ...seed]);
+        const exportable = await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'Ed25519' }, true, ['sign']);
+        const { x } = await crypto.subtle.exportKey('jwk', exportable);
+        return {
+            privateKey: await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'Ed25519' }, false, ['sign']),
+            publicKey: this.toHex(Uint8Array.from(atob(x.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0)))
+        };
+    }
+
+    // The HMAC key vaults registered before key pairs. It only signs once more,
+    // to prove ownership while the server swaps it for the public key.
+    async deriveLegacyAuthKey(verifier, salt) {
+        return this.hkdf(verifier, salt, 'guardfin-auth-v1');
+    }
+
+    async signChallenge(challenge) {
+        if (!this.authKey) throw new Error('No auth key');
+        const signature = await crypto.subtle.sign('Ed25519', this.authKey.privateKey, new TextEncoder().encode(challenge));
+        return this.toHex(signature);
+    }
+
+    async signLegacyChallenge(challenge) {
+        if (!this.legacyAuthKey) throw new Error('No auth key');
+        const key = await crypto.subtle.importKey('raw', this.legacyAuthKey, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(challenge));
+        return this.toHex(signature);
+    }
+
+    // Encrypted with the vault key, so a new device can prove the passphrase
+    // against the server copy without the server ever holding a verifier
+    async createKeyCheck(name) {
+        return this.encrypt({ check: 'guardfin-vault', accountId: this.accountId, name });
+    }
+
     async decrypt(obj) {
         if (!this.key) throw new Error('No encryption key');
         if (obj.version !== '1.0' || obj.algorithm !== 'AES-GCM') throw new Error('Unsupported format');
@@ -68,19 +169,67 @@ class SecureCrypto {
 
     cleanup() {
         this.key = null;
+        this.authKey = null;
+        this.legacyAuthKey = null;
         this.accountId = null;
         this.salt = null;
     }
 }
 
+// ===== TAB COORDINATION =====
+// Tabs share a BroadcastChannel. For each vault, one tab holds a Web Lock and
+// leads: only it syncs and keeps the live change feed open. Other tabs forward
+// their writes to it and re-render when told. Browsers without Web Locks fall
+// back to every tab syncing on its own.
+class TabCoordinator {
+    constructor(onMessage) {
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('guardfin') : null;
+        this.channel?.addEventListener('message', (e) => onMessage(e.data));
+        this.leadership = null;
+    }
+
+    post(message) {
+        this.channel?.postMessage(message);
+    }
+
+    // Resolves once this tab leads the vault, which can be never if another tab
+    // keeps it. Rejects with an AbortError when resign() is called first.
+    lead(accountId) {
+        if (!navigator.locks) return Promise.resolve();
+        const controller = new AbortController();
+        this.leadership = controller;
+        return new Promise((resolve, reject) => {
+            navigator.locks.request(`guardfin-leader-${accountId}`, { signal: controller.signal }, () => {
+                resolve();
+                // Held until resign(), or until the tab closes
+                return new Promise(release => controller.signal.addEventListener('abort', release));
+            }).catch(reject);
+        });
+    }
+
+    resign() {
+        this.leadership?.abort();
+        this.leadership = null;
+    }
+}
+
 // ===== DATABASE MODULE =====
 class Database {
     constructor() {
         this.accountsDB = null;
         this.userDB = null;
+        this.account = null;
+        this.session = null;
         this.crypto = new SecureCrypto();
         this.isSyncing = false;
         this.pendingSync = false;
+        this.pulledRevs = new Set();
+        this.conflicts = [];
+        this.usage = null;
+        this.claimRequired = false;
+        this.liveUpdates = null;
+        this.isLeader = false;
+        this.tabs = new TabCoordinator(message => this.onTabMessage(message));
     }
 
     async init() {
@@ -104,10 +253,93 @@ class Database {
         this.crypto.accountId = accountId;
         this.crypto.salt = salt;
         this.crypto.key = await this.crypto.deriveKey(passphrase, salt);
+        this.crypto.authKey = await this.crypto.deriveAuthKey(account.verifier, salt);
+        this.crypto.legacyAuthKey = await this.crypto.deriveLegacyAuthKey(account.verifier, salt);
         this.userDB = new PouchDB(`guardfin-user-${accountId}`);
+        this.account = account;
         return account;
     }
 
+    async enrollAccount(accountId, passphrase, serverUrl) {
+        const existing = await this.accountsDB.get(accountId).catch(() => null);
+        if (existing) throw new Error('This vault is already on this device');
+
+        const response = await this.serverFetch(`/api/account/${encodeURIComponent(accountId)}`, {}, serverUrl);
+        if (response.status === 404) throw new Error('Vault not found on server');
+        if (!response.ok) throw new Error('Could not reach server');
+        const descriptor = await response.json();
+
+        const salt = new Uint8Array(descriptor.salt);
+        const probe = new SecureCrypto();
+        probe.key = await probe.deriveKey(passphrase, salt);
+        const check = await probe.decrypt(descriptor.keyCheck).catch(() => null);
+        if (!check || check.check !== 'guardfin-vault' || check.accountId !== accountId) {
+            throw new Error('Invalid passphrase');
+        }
+
+        const verifier = await this.crypto.createVerifier(passphrase, salt);
+        await this.accountsDB.put({
+            _id: accountId,
+            name: check.name || 'Synced vault',
+            salt: descriptor.salt,
+            verifier,
+            keyCheck: descriptor.keyCheck,
+            serverUrl,
+            createdAt: descriptor.createdAt || new Date().toISOString(),
+            enrolledAt: new Date().toISOString()
+        });
+        return accountId;
+    }
+
+    async getAccountDescriptor() {
+        if (!this.account.keyCheck) {
+            const keyCheck = await this.crypto.createKeyCheck(this.account.name);
+            await this.accountsDB.put({ ...this.account, keyCheck });
+            this.account = await this.accountsDB.get(this.account._id);
+        }
+        return { salt: this.account.salt, keyCheck: this.account.keyCheck, createdAt: this.account.createdAt };
+    }
+
+    // The account's sync server, or null when the vault stays on this device.
+    // Accounts from before server profiles have no serverUrl and use the default.
+    get serverUrl() {
+        const serverUrl = this.account?.serverUrl;
+        return serverUrl === undefined ? DEFAULT_SERVER_URL : serverUrl;
+    }
+
+    normalizeServerUrl(input) {
+        let url;
+        try { url = new URL(input.trim()); } catch { throw new Error('Enter a full URL, like https://sync.example.com'); }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('Server URL must start with https:// or http://');
+        return url.origin + url.pathname.replace(/\/+$/, '');
+    }
+
+    async serverFetch(path, options = {}, serverUrl = this.serverUrl) {
+        if (!serverUrl) throw new Error('Sync is turned off for this vault');
+        return fetch(`${serverUrl}${path}`, options);
+    }
+
+    // Moves the vault to another sync server, or to none. The sync checkpoint
+    // records its server, so the next sync starts over against the new one:
+    // it pulls whatever is already there and re-uploads everything else.
+    async setServer(serverUrl) {
+        if (this.isSyncing) throw new Error('Wait for the current sync to finish');
+        const account = await this.accountsDB.get(this.account._id);
+        await this.accountsDB.put({ ...account, serverUrl });
+        await this.reloadAccount();
+        this.tabs.post({ type: 'server', accountId: account._id });
+    }
+
+    // Picks up account changes, including ones made in another tab
+    async reloadAccount() {
+        this.stopLiveUpdates();
+        this.account = await this.accountsDB.get(this.account._id);
+        this.session = null;
+        this.usage = null;
+        this.claimRequired = false;
+        this.pulledRevs.clear();
+    }
+
     async getAccounts() {
         const result = await this.accountsDB.allDocs({ include_docs: true });
         return result.rows.map(r => ({ id: r.doc._id, name: r.doc.name, createdAt: r.doc.createdAt }));
@@ -157,55 +389,544 @@ class Database {
         return all.filter(d => d.type === type);
     }
 
+    // A transaction's own type (expense or income) replaces the document type
+    // in getAll, so transactions are found by their id prefix instead
+    async getTransactions() {
+        const all = await this.getAll();
+        return all.filter(d => d._id.startsWith('transaction_'));
+    }
+
+    // Called after every local write: other tabs re-render, and the leader syncs
     scheduleSync() {
-        if (this.pendingSync) return;
+        this.tabs.post({ type: 'changed', accountId: this.crypto.accountId });
+        this.queueSync();
+    }
+
+    queueSync() {
+        if (this.pendingSync || !this.isLeader) return;
         this.pendingSync = true;
         setTimeout(() => this.syncToServer(), 2000);
     }
 
+    // Starts syncing once this tab leads the vault; a waiting tab takes over
+    // when the leader signs out or closes
+    async startSync() {
+        const accountId = this.crypto.accountId;
+        this.isLeader = false;
+        try {
+            await this.tabs.lead(accountId);
+        } catch {
+            return;
+        }
+        if (this.crypto.accountId !== accountId) return;
+        this.isLeader = true;
+        this.syncToServer();
+        this.startLiveUpdates();
+    }
+
+    async onTabMessage(message) {
+        if (message.type === 'lock') {
+            App.lock();
+            return;
+        }
+        if (!this.userDB || message.accountId !== this.crypto.accountId) return;
+
+        switch (message.type) {
+            case 'changed':
+                App.refreshTab(App.currentTab);
+                this.queueSync();
+                break;
+            case 'sync':
+                if (this.isLeader) this.syncToServer();
+                break;
+            case 'server':
+                await this.reloadAccount();
+                if (this.isLeader) {
+                    this.syncToServer();
+                    this.startLiveUpdates();
+                }
+                break;
+            case 'status':
+                if (!this.isLeader) App.updateSyncStatus(message.status);
+                break;
+        }
+    }
+
+    async postJson(path, body) {
+        const response = await this.serverFetch(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            const error = new Error(body.error || 'Request failed');
+            error.status = response.status;
+            error.claimRequired = !!body.claimRequired;
+            throw error;
+        }
+        return response.json();
+    }
+
+    // Proves vault ownership with a signed challenge and caches the session
+    // token. A vault the server has never seen registers its public key first;
+    // one still on an HMAC key signs with both so the server can swap it.
+    async authenticate() {
+        if (this.session && this.session.expiresAt - 30000 > Date.now()) return this.session.token;
+
+        const accountId = this.crypto.accountId;
+        const { registered, challenge, legacy } = await this.postJson('/api/auth/challenge', { accountId });
+        const session = registered
+            ? await this.postJson('/api/auth/session', {
+                accountId,
+                challenge,
+                signature: await this.crypto.signChallenge(challenge),
+                ...(legacy && { publicKey: this.crypto.authKey.publicKey, legacySignature: await this.crypto.signLegacyChallenge(challenge) })
+            })
+            : await this.register();
+
+        this.startSession(session);
+        return this.session.token;
+    }
+
+    // Vaults the server stored before vault auth existed only register with a
+    // claim code from the server's operator
+    async register(claimCode) {
+        try {
+            return await this.postJson('/api/auth/register', {
+                accountId: this.crypto.accountId,
+                publicKey: this.crypto.authKey.publicKey,
+                ...(claimCode && { claimCode })
+            });
+        } catch (e) {
+            this.claimRequired = e.claimRequired;
+            throw e;
+        }
+    }
+
+    async claimVault(claimCode) {
+        this.startSession(await this.register(claimCode.toLowerCase().replace(/[^0-9a-f]/g, '')));
+        this.claimRequired = false;
+    }
+
+    startSession(session) {
+        this.session = { token: session.token, expiresAt: new Date(session.expiresAt).getTime() };
+    }
+
+    async authFetch(path, options = {}) {
+        const send = async () => this.serverFetch(path, {
+            ...options,
+            headers: { ...options.headers, Authorization: `Bearer ${await this.authenticate()}` }
+        });
+
+        let response = await send();
+        if (response.status === 401) {
+            // The server may have restarted and dropped the session
+            this.session = null;
+            response = await send();
+        }
+        return response;
+    }
+
+    // _local docs never replicate and stay out of allDocs. Sequences only mean
+    // something to the server that issued them; checkpoints from before server
+    // profiles belong to the default server.
+    async getCheckpoint() {
+        const fresh = { _id: '_local/guardfin-sync', serverUrl: this.serverUrl, serverSeq: 0, localSeq: 0 };
+        const checkpoint = await this.userDB.get('_local/guardfin-sync').catch(() => null);
+        if (!checkpoint) return fresh;
+        if ((checkpoint.serverUrl || DEFAULT_SERVER_URL) !== this.serverUrl) return { ...fresh, _rev: checkpoint._rev };
+        return checkpoint;
+    }
+
+    async saveCheckpoint(checkpoint) {
+        const result = await this.userDB.put(checkpoint);
+        checkpoint._rev = result.rev;
+    }
+
+    // The chat history is encrypted like any doc but lives in a _local doc, so
+    // it stays on this device and never syncs
+    async loadConversation() {
+        const doc = await this.userDB.get('_local/guardfin-chat').catch(() => null);
+        if (!doc) return [];
+        try {
+            return (await this.crypto.decrypt(doc.encryptedData)).turns;
+        } catch {
+            return [];
+        }
+    }
+
+    async saveConversation(turns) {
+        const doc = await this.userDB.get('_local/guardfin-chat').catch(() => ({ _id: '_local/guardfin-chat' }));
+        await this.userDB.put({ ...doc, encryptedData: await this.crypto.encrypt({ turns }) });
+    }
+
+    async getLocalChanges(since) {
+        // The changes feed includes deletions, which allDocs omits. Pushing the
+        // tombstones keeps a later pull from resurrecting deleted docs, and
+        // all_docs also reports the tombstones that close conflict branches.
+        const changes = await this.userDB.changes({ since, style: 'all_docs' });
+        if (!changes.results.length) return { docs: [], lastSeq: changes.last_seq };
+        const result = await this.userDB.bulkGet({
+            docs: changes.results.flatMap(c => c.changes.map(({ rev }) => ({ id: c.id, rev }))),
+            revs: true
+        });
+        return { docs: result.results.flatMap(r => r.docs.map(d => d.ok)).filter(Boolean), lastSeq: changes.last_seq };
+    }
+
+    async pullFromServer(checkpoint) {
+        let changed = false;
+        let hasMore = true;
+
+        while (hasMore) {
+            const response = await this.authFetch(`/api/changes/${this.crypto.accountId}?since=${checkpoint.serverSeq}`);
+            if (!response.ok) throw new Error('Failed to fetch server changes');
+            const remote = await response.json();
+
+            const docs = [];
+            for (const doc of remote.docs) {
+                if (!doc._deleted) {
+                    // Only accept docs this vault key can actually open
+                    try { await this.crypto.decrypt(doc.encryptedData); } catch { continue; }
+                }
+                docs.push(doc);
+                this.pulledRevs.add(`${doc._id}@${doc._rev}`);
+            }
+
+            if (docs.length) {
+                // new_edits: false merges the server revisions into the local
+                // revision trees the same way PouchDB replication does, so every
+                // device settles on the same winning revision.
+                const before = await this.userDB.info();
+                await this.userDB.bulkDocs(docs, { new_edits: false });
+                const after = await this.userDB.info();
+                changed = changed || after.update_seq !== before.update_seq;
+            }
+
+            checkpoint.serverSeq = remote.lastSeq;
+            hasMore = remote.hasMore;
+        }
+
+        await this.saveCheckpoint(checkpoint);
+        return changed;
+    }
+
+    async pushToServer(checkpoint) {
+        const { docs, lastSeq } = await this.getLocalChanges(checkpoint.localSeq);
+        // Docs that just came down from the server don't need to go back up
+        const outgoing = docs.filter(d => !this.pulledRevs.has(`${d._id}@${d._rev}`));
+        const account = await this.getAccountDescriptor();
+
+        // Always send at least one request so the account descriptor reaches the server
+        const batches = [];
+        for (let i = 0; i < outgoing.length; i += SYNC_BATCH_SIZE) batches.push(outgoing.slice(i, i + SYNC_BATCH_SIZE));
+        if (!batches.length) batches.push([]);
+
+        for (const batch of batches) {
+            const response = await this.authFetch('/api/changes', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'If-Match': `"${checkpoint.serverSeq}"` },
+                body: JSON.stringify({ accountId: this.crypto.accountId, docs: batch, account })
+            });
+            // Another tab or device wrote first: the caller pulls and retries
+            if (response.status === 409) return false;
+            if (!response.ok) {
+                const error = new Error('Sync rejected');
+                error.status = response.status;
+                // 507: the vault is at its storage quota
+                if (response.status === 507) this.usage = (await response.json()).usage;
+                throw error;
+            }
+            // The write matched our version, so every newer sequence is ours
+            const result = await response.json();
+            checkpoint.serverSeq = result.lastSeq;
+            this.usage = result.usage || this.usage;
+        }
+
+        checkpoint.localSeq = lastSeq;
+        await this.saveCheckpoint(checkpoint);
+        this.pulledRevs.clear();
+        return true;
+    }
+
+    async loadRevision(id, rev) {
+        const doc = await this.userDB.get(id, { rev, revs: true });
+        return { doc, data: await this.crypto.decrypt(doc.encryptedData) };
+    }
+
+    // Nearest revision both branches share. Its body is only still around if
+    // this device wrote or pulled it before the branches split.
+    async loadCommonAncestor(id, a, b) {
+        const revs = ({ _revisions: { start, ids } }) => ids.map((hash, i) => `${start - i}-${hash}`);
+        const theirs = new Set(revs(b));
+        const common = revs(a).find(rev => theirs.has(rev));
+        if (!common) return null;
+        return this.loadRevision(id, common).catch(() => null);
+    }
+
+    // Field rules for concurrent edits, applied three-way when the common
+    // ancestor is available. Returns null when a person has to decide.
+    mergeRevisions(type, ancestor, winner, loser) {
+        const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+        const editedAt = ({ doc }) => new Date(doc.updatedAt || doc.createdAt || 0).getTime();
+        const merged = { ...winner.data };
+
+        const keys = new Set([...Object.keys(winner.data), ...Object.keys(loser.data)]);
+        for (const key of keys) {
+            const a = winner.data[key];
+            const b = loser.data[key];
+            if (same(a, b)) continue;
+
+            const base = ancestor?.data[key];
+            if (ancestor && same(a, base)) { merged[key] = b; continue; }
+            if (ancestor && same(b, base)) continue;
+
+            if (type === 'goal' && key === 'current') {
+                // Progress added on both devices adds up
+                merged[key] = ancestor ? a + b - base : Math.max(a, b);
+            } else if (key === 'amount') {
+                merged[key] = editedAt(loser) > editedAt(winner) ? b : a;
+            } else {
+                return null;
+            }
+        }
+        return merged;
+    }
+
+    // Writes the chosen data on top of the winning revision and closes every
+    // other branch, so all devices converge on the same leaf
+    async commitResolution(doc, data, loserRevs) {
+        const { _conflicts, ...winner } = doc;
+        await this.userDB.bulkDocs([
+            { ...winner, encryptedData: await this.crypto.encrypt(data), updatedAt: new Date().toISOString() },
+            ...loserRevs.map(rev => ({ _id: doc._id, _rev: rev, _deleted: true }))
+        ]);
+    }
+
+    async resolveConflicts() {
+        const result = await this.userDB.allDocs({ include_docs: true, conflicts: true });
+        const unresolved = [];
+
+        for (const { doc } of result.rows.filter(r => r.doc._conflicts)) {
+            try {
+                const winner = await this.loadRevision(doc._id, doc._rev);
+                const losers = [];
+                for (const rev of doc._conflicts) losers.push(await this.loadRevision(doc._id, rev));
+
+                let merged = winner.data;
+                for (const loser of losers) {
+                    const ancestor = await this.loadCommonAncestor(doc._id, winner.doc, loser.doc);
+                    merged = merged && this.mergeRevisions(doc.type, ancestor, { ...winner, data: merged }, loser);
+                }
+
+                if (merged) {
+                    await this.commitResolution(doc, merged, doc._conflicts);
+                } else {
+                    unresolved.push({ id: doc._id, type: doc.type, versions: [winner, ...losers] });
+                }
+            } catch (e) {
+                console.error('Conflict resolution error:', e);
+            }
+        }
+
+        this.conflicts = unresolved;
+        return unresolved;
+    }
+
+    async resolveConflict(id, keepRev) {
+        const doc = await this.userDB.get(id, { conflicts: true });
+        const { data } = await this.loadRevision(id, keepRev);
+        await this.commitResolution(doc, data, doc._conflicts || []);
+        this.conflicts = this.conflicts.filter(c => c.id !== id);
+        this.scheduleSync();
+    }
+
+    async getUsage() {
+        const response = await this.authFetch(`/api/usage/${this.crypto.accountId}`);
+        if (!response.ok) throw new Error('Failed to load storage usage');
+        this.usage = await response.json();
+        return this.usage;
+    }
+
+    async getSnapshots() {
+        const response = await this.authFetch(`/api/snapshots/${this.crypto.accountId}`);
+        if (!response.ok) throw new Error('Failed to load version history');
+        return (await response.json()).snapshots;
+    }
+
+    // Decrypts a server snapshot and works out what restoring it would add,
+    // change and remove locally. Nothing is written until restoreSnapshot.
+    async previewSnapshot(snapshotId) {
+        const response = await this.authFetch(`/api/snapshots/${this.crypto.accountId}/${snapshotId}`);
+        if (!response.ok) throw new Error('Failed to load snapshot');
+        const snapshot = await response.json();
+
+        const local = new Map();
+        const result = await this.userDB.allDocs({ include_docs: true });
+        for (const { doc } of result.rows.filter(r => r.doc.encryptedData)) {
+            try {
+                local.set(doc._id, { doc, data: await this.crypto.decrypt(doc.encryptedData) });
+            } catch (e) { console.error('Decrypt error:', e); }
+        }
+
+        const plan = { id: snapshot.id, createdAt: snapshot.createdAt, added: [], changed: [], removed: [], unreadable: 0 };
+        const kept = new Set();
+        for (const doc of snapshot.docs) {
+            let data;
+            try { data = await this.crypto.decrypt(doc.encryptedData); } catch { plan.unreadable++; continue; }
+
+            const current = local.get(doc._id);
+            kept.add(doc._id);
+            if (!current) {
+                plan.added.push({ doc, data });
+            } else if (JSON.stringify(current.data) !== JSON.stringify(data)) {
+                plan.changed.push({ doc, data, current });
+            }
+        }
+        for (const [id, current] of local) {
+            if (!kept.has(id)) plan.removed.push(current);
+        }
+        return plan;
+    }
+
+    // Writes the snapshot contents as new revisions on top of the local ones, so
+    // the restore syncs to other devices like any other edit
+    async restoreSnapshot(plan) {
+        const now = new Date().toISOString();
+        const restored = ({ doc }) => ({ _id: doc._id, type: doc.type, encryptedData: doc.encryptedData, createdAt: doc.createdAt, updatedAt: now });
+        await this.userDB.bulkDocs([
+            ...plan.added.map(restored),
+            ...plan.changed.map(change => ({ ...restored(change), _rev: change.current.doc._rev })),
+            ...plan.removed.map(({ doc }) => ({ _id: doc._id, _rev: doc._rev, _deleted: true }))
+        ]);
+        this.scheduleSync();
+    }
+
+    // Resolves to the status it shows, so callers can tell how the sync went.
+    // Other tabs hand the sync to the leader and resolve to 'delegated'.
     async syncToServer() {
         if (this.isSyncing || !this.userDB) return;
-        this.isSyncing = true;
+        if (!this.isLeader) {
+            this.tabs.post({ type: 'sync', accountId: this.crypto.accountId });
+            return 'delegated';
+        }
         this.pendingSync = false;
+        if (!this.serverUrl) {
+            App.updateSyncStatus('local');
+            this.tabs.post({ type: 'status', accountId: this.crypto.accountId, status: 'local' });
+            return 'local';
+        }
+        this.isSyncing = true;
+        let status;
 
         try {
             App.updateSyncStatus('syncing');
-            const result = await this.userDB.allDocs({ include_docs: true });
-            const data = {
-                accountId: this.crypto.accountId,
-                transactions: result.rows.filter(r => r.doc.type === 'transaction').map(r => r.doc),
-                recurring_bills: result.rows.filter(r => r.doc.type === 'bill').map(r => r.doc),
-                goals: result.rows.filter(r => r.doc.type === 'goal').map(r => r.doc),
-                budgets: result.rows.filter(r => r.doc.type === 'budget').map(r => r.doc),
-                reminders: result.rows.filter(r => r.doc.type === 'reminder').map(r => r.doc),
-                settings: {}
-            };
-
-            const response = await fetch(`${API_URL}/api/sync`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
-            });
+            const checkpoint = await this.getCheckpoint();
+            let changed = false;
+            let pushed = false;
+
+            for (let attempt = 0; attempt < SYNC_MAX_ATTEMPTS && !pushed; attempt++) {
+                changed = await this.pullFromServer(checkpoint) || changed;
+                await this.resolveConflicts();
+                pushed = await this.pushToServer(checkpoint);
+            }
+            if (changed) {
+                App.refreshTab(App.currentTab);
+                this.tabs.post({ type: 'changed', accountId: this.crypto.accountId });
+            }
 
-            App.updateSyncStatus(response.ok ? 'synced' : 'error');
+            status = !pushed ? 'error' : this.conflicts.length ? 'conflicts' : 'synced';
         } catch (e) {
             console.error('Sync error:', e);
-            App.updateSyncStatus('offline');
+            status = e.status === 507 ? 'quota' : e.claimRequired ? 'claim' : e.status ? 'error' : 'offline';
         } finally {
             this.isSyncing = false;
         }
+        App.updateSyncStatus(status);
+        this.tabs.post({ type: 'status', accountId: this.crypto.accountId, status });
+        return status;
+    }
+
+    // Keeps a change feed open while signed in, so edits from other devices
+    // show up without waiting for a local change to trigger a sync
+    async startLiveUpdates() {
+        this.stopLiveUpdates();
+        if (!this.serverUrl || !this.userDB || !this.isLeader) return;
+        const controller = new AbortController();
+        this.liveUpdates = controller;
+
+        let delay = LIVE_RETRY_MIN;
+        while (!controller.signal.aborted) {
+            const openedAt = Date.now();
+            try {
+                await this.listenForChanges(controller.signal);
+            } catch (e) {
+                if (controller.signal.aborted) return;
+            }
+            // The server ends healthy streams when the session expires; only back
+            // off when connections keep failing right away
+            delay = Date.now() - openedAt > LIVE_RETRY_MAX ? LIVE_RETRY_MIN : Math.min(delay * 2, LIVE_RETRY_MAX);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    stopLiveUpdates() {
+        this.liveUpdates?.abort();
+        this.liveUpdates = null;
+    }
+
+    // Reads the server-sent event stream with fetch rather than EventSource so
+    // the session token travels in a header instead of the URL. Events carry
+    // only the vault's sequence number, never data.
+    async listenForChanges(signal) {
+        const response = await this.authFetch(`/api/events/${this.crypto.accountId}`, {
+            signal,
+            headers: { Accept: 'text/event-stream' }
+        });
+        if (!response.ok) throw new Error('Failed to open change feed');
+
+        await readEventStream(response, async (event, data) => {
+            if (event === 'change') await this.onRemoteChange(data.seq);
+        });
+    }
+
+    // Pulls when the server is ahead of our checkpoint. Our own pushes come back
+    // as events too, but by then the checkpoint has caught up with them.
+    async onRemoteChange(seq) {
+        if (!this.userDB) return;
+        const checkpoint = await this.getCheckpoint();
+        if (seq <= checkpoint.serverSeq) return;
+        if (this.isSyncing) this.queueSync();
+        else await this.syncToServer();
+    }
+
+    // Resolves to the server's health report; throws if it is not a Guardfin server
+    async checkServer(serverUrl = this.serverUrl) {
+        const response = await this.serverFetch('/api/health', { signal: AbortSignal.timeout(5000) }, serverUrl);
+        if (!response.ok) throw new Error(`Server answered ${response.status}`);
+        const health = await response.json().catch(() => null);
+        if (health?.status !== 'healthy') throw new Error('Not a Guardfin server');
+        return health;
     }
 
     async checkConnection() {
         try {
-            const r = await fetch(`${API_URL}/api/health`);
-            return r.ok;
+            await this.checkServer();
+            return true;
         } catch { return false; }
     }
 
     signOut() {
+        this.stopLiveUpdates();
+        this.tabs.resign();
+        this.isLeader = false;
+        this.pendingSync = false;
         this.crypto.cleanup();
         this.userDB = null;
+        this.account = null;
+        this.session = null;
+        this.usage = null;
+        this.claimRequired = false;
     }
 }
 
@@ -225,7 +946,9 @@ class TransactionParser {
 
     parse(text) {
         const transactions = [];
-        const segments = text.split(/[,;]|\band\b|\bthen\b/).map(s => s.trim()).filter(s => s);
+        // A comma before a year ("March 14, 2026") is part of the date, and
+        // one between digits ("$1,200") part of the amount
+        const segments = text.split(/;|,(?!\d|\s*\d{4}\b)|\band\b|\bthen\b/).map(s => s.trim()).filter(s => s);
         
         for (const seg of segments) {
             const t = this.parseSegment(seg);
@@ -234,7 +957,11 @@ class TransactionParser {
         return transactions;
     }
 
-    parseSegment(text) {
+    parseSegment(segment) {
+        // "yesterday", "on the 1st", "3/14": the date comes out before the
+        // amount is read, and "$1,200" loses its comma
+        const dated = extractDate(segment);
+        const text = (dated ? dated.rest : segment).replace(/(\d),(?=\d{3}\b)/g, '$1');
         const amountMatch = text.match(/\$?\s*(\d+(?:\.\d{2})?)/);
         if (!amountMatch) return null;
         
@@ -251,7 +978,8 @@ class TransactionParser {
 
         const category = this.categorize(text, type);
 
-        return { amount, description: this.capitalize(description), category, type, timestamp: new Date().toISOString() };
+        const timestamp = (dated ? dated.date : new Date()).toISOString();
+        return { amount, description: this.capitalize(description), category, type, timestamp };
     }
 
     categorize(text, type) {
@@ -272,25 +1000,89 @@ class TransactionParser {
 class AIAgent {
     constructor(db) {
         this.db = db;
+        this.history = [];
+    }
+
+    async loadHistory() {
+        this.history = await this.db.loadConversation();
+        return this.history;
     }
 
-    async chat(message) {
+    async remember(...turns) {
+        this.history = [...this.history, ...turns].slice(-CHAT_HISTORY_MAX);
+        await this.db.saveConversation(this.history);
+    }
+
+    // The recent turns sent along with a message. Card and account numbers,
+    // phone numbers and email addresses are masked before they leave the device.
+    historyWindow() {
+        return this.history.slice(-CHAT_WINDOW).map(({ role, text }) => ({
+            role,
+            text: text
+                .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+                .replace(/\d(?:[ -]?\d){7,}/g, '[number]')
+                .slice(0, CHAT_TURN_MAX_LENGTH)
+        }));
+    }
+
+    // The reply streams in: onText gets each piece of the message text as the
+    // model writes it, and the full result resolves at the end. Aborting signal
+    // stops the generation and resolves to null. pendingActions are the proposed
+    // actions still awaiting confirmation, so the reply can correct them.
+    // toolResults answer the data the agent asked for earlier in this turn.
+    async chat(message, { onText, signal, pendingActions, toolResults } = {}) {
         const context = await this.getContext();
         
         try {
-            const response = await fetch(`${API_URL}/api/agent/chat`, {
+            const response = await this.db.serverFetch('/api/agent/chat', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ message, financialContext: context })
+                headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+                body: JSON.stringify({
+                    message,
+                    financialContext: context,
+                    history: this.historyWindow(),
+                    ...(pendingActions?.length && { pendingActions: pendingActions.map(({ intent, action }) => ({ intent, action })) }),
+                    ...(toolResults?.length && { toolResults }),
+                    // en-CA formats the local date as YYYY-MM-DD
+                    today: new Date().toLocaleDateString('en-CA')
+                }),
+                signal
             });
 
             if (!response.ok) throw new Error('AI unavailable');
-            return await response.json();
+            // Servers without streaming answer with the whole result
+            if (!response.headers.get('Content-Type')?.startsWith('text/event-stream')) {
+                return await response.json();
+            }
+
+            let result = null;
+            await readEventStream(response, (event, data) => {
+                if (event === 'delta') onText?.(data.text);
+                else if (event === 'result') result = data;
+                else if (event === 'error') throw new Error(data.error);
+            });
+            if (!result) throw new Error('AI reply ended early');
+            return result;
         } catch (e) {
+            if (signal?.aborted) return null;
             return { intent: 'ANSWER', message: 'AI service is currently unavailable. Please ensure the server is running.', requiresConfirmation: false };
         }
     }
 
+    // Applies the confirmed actions in order and reports on each; one failing
+    // does not stop the rest
+    async executeActions(actions) {
+        const results = [];
+        for (const item of actions) {
+            try {
+                results.push(await this.executeAction(item));
+            } catch (e) {
+                results.push({ success: false, message: `Could not apply ${item.intent}: ${e.message}` });
+            }
+        }
+        return results;
+    }
+
     async executeAction(result) {
         const { intent, action } = result;
         
@@ -301,19 +1093,20 @@ class AIAgent {
                     description: action.description,
                     category: action.category,
                     type: action.type,
-                    timestamp: new Date().toISOString()
+                    timestamp: ((action.date && fromISODate(action.date)) || new Date()).toISOString()
                 });
                 return { success: true, message: `Added ${action.type}: $${action.amount} for ${action.description}` };
 
             case 'SET_BUDGET':
                 const budgets = await this.db.getByType('budget');
                 const existing = budgets.find(b => b.category === action.category);
+                const period = action.period || existing?.period || 'monthly';
                 if (existing) {
-                    await this.db.update(existing._id, { ...existing, amount: action.amount });
+                    await this.db.update(existing._id, { ...existing, amount: action.amount, period });
                 } else {
-                    await this.db.save('budget', { category: action.category, amount: action.amount, period: action.period || 'monthly' });
+                    await this.db.save('budget', { category: action.category, amount: action.amount, period });
                 }
-                return { success: true, message: `Set ${action.category} budget to $${action.amount}/month` };
+                return { success: true, message: `Set ${action.category} budget to $${action.amount}/${period === 'weekly' ? 'week' : 'month'}` };
 
             case 'CREATE_GOAL':
                 await this.db.save('goal', {
@@ -335,23 +1128,123 @@ class AIAgent {
                 });
                 return { success: true, message: `Added reminder: ${action.title} on day ${action.dueDay}` };
 
+            case 'DELETE_TRANSACTION': {
+                const { record, problem } = result.target || await this.resolveTarget(result);
+                if (!record) return { success: false, message: problem };
+                await this.db.delete(record._id);
+                return { success: true, message: `Deleted ${record.description} ($${record.amount}) from ${new Date(record.timestamp).toLocaleDateString()}` };
+            }
+
+            case 'UPDATE_TRANSACTION': {
+                const { record, problem } = result.target || await this.resolveTarget(result);
+                if (!record) return { success: false, message: problem };
+                await this.db.update(record._id, { ...record, ...action.changes });
+                const changed = Object.entries(action.changes).map(([field, value]) => `${field} ${field === 'amount' ? `$${value}` : value}`).join(', ');
+                return { success: true, message: `Updated ${record.description}: ${changed}` };
+            }
+
+            case 'CONTRIBUTE_GOAL': {
+                const { record, problem } = result.target || await this.resolveTarget(result);
+                if (!record) return { success: false, message: problem };
+                const current = (record.current || 0) + action.amount;
+                await this.db.update(record._id, { ...record, current });
+                return { success: true, message: `Added $${action.amount} to ${record.name} ($${current} of $${record.target})` };
+            }
+
             default:
                 return { success: false, message: 'Unknown action' };
         }
     }
 
+    // ===== Lookups =====
+    // Requests about existing records are matched here on decrypted data; the
+    // server only ever sees the words the user typed
+
+    // Transactions matching a request's description, category, amount, date
+    // words and type, newest first
+    async findTransactions({ description, category, amount, when, type } = {}) {
+        const range = when ? dateRange(when) : null;
+        const term = description?.toLowerCase();
+        return (await this.db.getTransactions())
+            .filter(t => !type || t.type === type)
+            .filter(t => !category || t.category === category)
+            .filter(t => !amount || Math.abs(t.amount - amount) < 0.005)
+            .filter(t => !term || String(t.description || '').toLowerCase().includes(term))
+            .filter(t => !range || (new Date(t.timestamp) >= range.from && new Date(t.timestamp) < range.to))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    // The record a DELETE_TRANSACTION, UPDATE_TRANSACTION or CONTRIBUTE_GOAL
+    // action applies to: { record, others } where others counts the older
+    // matches, or { problem } when nothing matches
+    async resolveTarget({ intent, action }) {
+        if (intent === 'CONTRIBUTE_GOAL') {
+            const name = action.goal.toLowerCase();
+            const goals = await this.db.getByType('goal');
+            const goal = goals.find(g => g.name.toLowerCase() === name)
+                || goals.find(g => g.name.toLowerCase().includes(name) || name.includes(g.name.toLowerCase()));
+            return goal ? { record: goal, others: 0 } : { problem: `No goal called "${action.goal}"` };
+        }
+
+        const { when } = action.match;
+        if (when && !dateRange(when)) return { problem: `Can't tell which dates "${when}" means` };
+        const [record, ...others] = await this.findTransactions(action.match);
+        return record ? { record, others: others.length } : { problem: 'No matching transaction' };
+    }
+
+    // Answers a QUERY_SPENDING request from local data. The total is shown to
+    // the user only; it is not sent anywhere.
+    async answerQuery(query) {
+        if (query.when && !dateRange(query.when)) return `I can't tell which dates "${query.when}" means.`;
+
+        const matches = await this.findTransactions(query);
+        const total = matches.reduce((sum, t) => sum + t.amount, 0);
+        const when = query.when?.toLowerCase().replace(/^(?:on|in)\s+/, '')
+            .replace(/[a-z]+/g, w => MONTHS.includes(w) || WEEKDAYS.includes(w.replace(/day$/, '')) ? w[0].toUpperCase() + w.slice(1) : w);
+        const scope = [
+            query.description && `on ${query.description}`,
+            query.category && `on ${query.category}`,
+            when && (/^(?:today|tonight|yesterday|this|last)\b/.test(when) ? when : /day$/.test(when) ? `on ${when}` : `in ${when}`)
+        ].filter(Boolean).map(part => ` ${part}`).join('');
+
+        if (!matches.length) return `I found no ${query.type === 'income' ? 'income' : 'spending'}${scope}.`;
+        const verb = query.type === 'income' ? 'earned' : 'spent';
+        return `You ${verb} $${total.toFixed(2)}${scope} across ${matches.length} transaction${matches.length === 1 ? '' : 's'}.`;
+    }
+
+    // Computes a REQUEST_DATA tool from local data, after the user approved it.
+    // Only the returned number is sent back to the server.
+    async runTool({ name, args }) {
+        const from = new Date(`${args.from}T00:00:00`);
+        const to = new Date(`${args.to}T00:00:00`);
+        to.setDate(to.getDate() + 1);
+        const matches = (await this.findTransactions({ type: args.type, category: args.category, description: args.merchant }))
+            .filter(t => new Date(t.timestamp) >= from && new Date(t.timestamp) < to);
+        const total = matches.reduce((sum, t) => sum + t.amount, 0);
+
+        switch (name) {
+            case 'sum_transactions': return Math.round(total * 100) / 100;
+            case 'count_transactions': return matches.length;
+            case 'average_transaction': return matches.length ? Math.round(total / matches.length * 100) / 100 : 0;
+            default: throw new Error(`Unknown tool: ${name}`);
+        }
+    }
+
     async getInsights() {
         const context = await this.getContext();
         
         try {
-            const response = await fetch(`${API_URL}/api/agent/insights`, {
+            const response = await this.db.serverFetch('/api/agent/insights', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ financialData: context })
             });
 
             if (!response.ok) return { insights: [] };
-            return await response.json();
+            const data = await response.json();
+            // The model's answer failed validation; the local rules still apply
+            if (data.error) return { insights: this.generateLocalInsights(context), error: data.error };
+            return data;
         } catch {
             return { insights: this.generateLocalInsights(context) };
         }
@@ -361,7 +1254,7 @@ class AIAgent {
         const context = await this.getContext();
         
         try {
-            const response = await fetch(`${API_URL}/api/agent/predict`, {
+            const response = await this.db.serverFetch('/api/agent/predict', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ financialData: context })
@@ -369,6 +1262,7 @@ class AIAgent {
 
             if (!response.ok) return null;
             const data = await response.json();
+            if (data.error) return this.generateLocalPredictions(context);
             return data.predictions;
         } catch {
             return this.generateLocalPredictions(context);
@@ -393,17 +1287,21 @@ class AIAgent {
         expenses.forEach(t => {
             categoryTotals[t.category] = (categoryTotals[t.category] || 0) + t.amount;
         });
+        const ranked = Object.entries(categoryTotals).sort((a, b) => b[1] - a[1]);
 
+        // Kept within the FinancialContext limits in server/schemas.js, so no
+        // amount of user data gets the request rejected
+        const name = text => String(text ?? '').slice(0, 100);
         return {
             monthlyExpenses: expenses.reduce((s, t) => s + t.amount, 0),
             monthlyIncome: income.reduce((s, t) => s + t.amount, 0),
             budgetCount: budgets.length,
             goalCount: goals.length,
             transactionCount: transactions.length,
-            topCategories: Object.entries(categoryTotals).sort((a, b) => b[1] - a[1]).slice(0, 5),
-            categoryTotals,
-            budgets: budgets.map(b => ({ category: b.category, limit: b.amount, spent: categoryTotals[b.category] || 0 })),
-            goals: goals.map(g => ({ name: g.name, progress: (g.current / g.target) * 100 }))
+            topCategories: ranked.slice(0, 5),
+            categoryTotals: Object.fromEntries(ranked.slice(0, 200)),
+            budgets: budgets.slice(0, 500).map(b => ({ category: name(b.category), limit: b.amount, spent: categoryTotals[b.category] || 0 })),
+            goals: goals.slice(0, 500).map(g => ({ name: name(g.name), progress: (g.current / g.target) * 100 }))
         };
     }
 
@@ -673,7 +1571,12 @@ const App = {
     agent: null,
     charts: null,
     currentTab: 'dashboard',
-    pendingAction: null,
+    pendingActions: null,
+    pendingRestore: null,
+    qrStream: null,
+    chatGeneration: null,
+    chatMessageCount: 0,
+    pendingTool: null,
 
     async init() {
         try {
@@ -713,17 +1616,121 @@ const App = {
 
     updateSyncStatus(status) {
         const el = document.getElementById('syncStatus');
+        const usage = this.db?.usage;
         const states = {
             connected: { dot: 'dot-green', text: 'Connected' },
             syncing: { dot: 'dot-gray pulse', text: 'Syncing...' },
             synced: { dot: 'dot-green', text: 'Synced' },
+            nearQuota: { dot: 'dot-yellow', text: `Storage ${Math.round((usage?.ratio || 0) * 100)}% full` },
+            quota: { dot: 'dot-red', text: 'Storage full' },
+            claim: { dot: 'dot-red', text: 'Claim vault' },
+            conflicts: { dot: 'dot-red', text: 'Review conflicts' },
             offline: { dot: 'dot-gray', text: 'Offline' },
+            local: { dot: 'dot-gray', text: 'This device only' },
             error: { dot: 'dot-red', text: 'Error' }
         };
+        if (status === 'synced' && usage?.nearLimit) status = 'nearQuota';
         const s = states[status] || states.offline;
         el.innerHTML = `<span class="dot ${s.dot}"></span><span class="hide-mobile">${s.text}</span>`;
     },
 
+    // ===== SYNC CONFLICTS =====
+    describeRecord(type, data) {
+        switch (type) {
+            case 'transaction': return `${data.type === 'income' ? '+' : '-'}$${data.amount} · ${data.description} · ${data.category} · ${new Date(data.timestamp).toLocaleDateString()}`;
+            case 'budget': return `${data.category} · $${data.amount}/month`;
+            case 'goal': return `${data.name} · $${data.current} of $${data.target}${data.deadline ? ` · due ${data.deadline}` : ''}`;
+            case 'reminder': return `${data.title} · day ${data.dueDay}${data.amount ? ` · $${data.amount}` : ''}`;
+            default: return JSON.stringify(data);
+        }
+    },
+
+    showConflicts() {
+        const conflicts = this.db.conflicts;
+        if (!conflicts.length) {
+            this.showToast('No conflicts to review');
+            return;
+        }
+
+        this.showModal(`
+            <h3 class="text-lg font-semibold mb-2" style="color: var(--text-primary)">Review Sync Conflicts</h3>
+            <p class="text-sm mb-4 text-[var(--text-2)]">These items were edited on more than one device. Choose the version to keep.</p>
+            <div class="space-y-4">
+                ${conflicts.map(c => `
+                    <div class="card p-4">
+                        <div class="text-xs text-[var(--text-3)] uppercase tracking-wider mb-2">${c.type}</div>
+                        <div class="space-y-2">
+                            ${c.versions.map(v => `
+                                <div class="flex justify-between items-center gap-3 p-3 rounded-lg bg-[var(--bg-3)]">
+                                    <div class="min-w-0">
+                                        <div class="text-sm text-[var(--text-1)]">${this.describeRecord(c.type, v.data)}</div>
+                                        <div class="text-xs text-[var(--text-3)] mt-1">Edited ${new Date(v.doc.updatedAt || v.doc.createdAt).toLocaleString()}</div>
+                                    </div>
+                                    <button data-action="resolveConflict" data-id="${c.id}" data-rev="${v.doc._rev}" class="btn btn-secondary text-xs shrink-0">Keep</button>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <button data-action="hideModal" class="btn btn-ghost w-full mt-4">Later</button>
+        `);
+    },
+
+    async resolveConflict(id, rev) {
+        await this.db.resolveConflict(id, rev);
+        this.showToast('Conflict resolved', 'success');
+        if (this.db.conflicts.length) {
+            this.showConflicts();
+        } else {
+            this.hideModal();
+        }
+        await this.refreshTab(this.currentTab);
+    },
+
+    // ===== STORAGE USAGE =====
+    async showUsage() {
+        let usage;
+        try {
+            usage = await this.db.getUsage();
+        } catch (e) {
+            this.showToast(e.message, 'error');
+            return;
+        }
+
+        const mb = bytes => (bytes / 1024 / 1024).toFixed(1);
+        const meter = (label, used, max, text) => {
+            const pct = Math.min(100, Math.round(used / max * 100));
+            const progressClass = used > max ? 'danger' : used / max >= 0.8 ? 'warning' : 'accent';
+            return `
+                <div>
+                    <div class="flex justify-between text-sm mb-1">
+                        <span class="text-[var(--text-2)]">${label}</span>
+                        <span class="mono text-[var(--text-1)]">${text}</span>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill ${progressClass}" style="width: ${pct}%"></div>
+                    </div>
+                </div>
+            `;
+        };
+
+        this.showModal(`
+            <h3 class="text-lg font-semibold mb-2" style="color: var(--text-primary)">Server Storage</h3>
+            <p class="text-sm mb-4 text-[var(--text-2)]">${usage.exceeded
+                ? 'Your vault is over its storage limit. New data stays on this device until you delete older items.'
+                : usage.nearLimit
+                    ? 'Your vault is close to its storage limit. Deleting old transactions frees up space.'
+                    : 'Encrypted space your vault uses on the sync server.'}</p>
+            <div class="space-y-4">
+                ${meter('Size', usage.bytes, usage.maxVaultSize, `${mb(usage.bytes)} / ${mb(usage.maxVaultSize)} MB`)}
+                ${meter('Items', usage.docs, usage.maxDocs, `${usage.docs.toLocaleString()} / ${usage.maxDocs.toLocaleString()}`)}
+            </div>
+            ${usage.snapshotBytes ? `<p class="text-xs mt-3 text-[var(--text-3)]">Includes ${mb(usage.snapshotBytes)} MB of version history, which makes way for new data when space runs low.</p>` : ''}
+            <button data-action="hideModal" class="btn btn-ghost w-full mt-4">Close</button>
+        `);
+    },
+
     showTab(tab) {
         document.querySelectorAll('.tab-content').forEach(el => el.classList.add('hidden'));
         document.querySelectorAll('[data-tab]').forEach(el => el.classList.remove('active'));
@@ -755,6 +1762,7 @@ const App = {
 
     hideModal() {
         document.getElementById('modalOverlay').classList.add('hidden');
+        this.stopQrScan();
     },
 
     showToast(message, type = 'info') {
@@ -791,7 +1799,7 @@ const App = {
 
     // ===== AUTH =====
     showScreen(screen) {
-        ['welcomeScreen', 'accountSelectScreen', 'loginScreen', 'createScreen'].forEach(id => {
+        ['welcomeScreen', 'accountSelectScreen', 'loginScreen', 'createScreen', 'enrollScreen'].forEach(id => {
             const el = document.getElementById(id);
             if (el) el.classList.add('hidden');
         });
@@ -809,7 +1817,7 @@ const App = {
         }
 
         list.innerHTML = accounts.map(a => `
-            <button onclick="App.selectAccount('${a.id}', '${a.name}')" class="w-full p-4 rounded-lg text-left card card-hover transition-all">
+            <button data-action="selectAccount" data-id="${a.id}" data-name="${a.name}" class="w-full p-4 rounded-lg text-left card card-hover transition-all">
                 <div class="font-medium text-[var(--text-1)]">${a.name}</div>
                 <div class="text-xs text-[var(--text-3)] mt-1">Created ${new Date(a.createdAt).toLocaleDateString()}</div>
             </button>
@@ -876,23 +1884,368 @@ const App = {
         }
     },
 
+    // ===== DEVICE ENROLLMENT =====
+    showEnroll() {
+        const serverInput = document.getElementById('enrollServerUrl');
+        if (!serverInput.value) serverInput.value = DEFAULT_SERVER_URL;
+        document.getElementById('enrollError').classList.add('hidden');
+        document.getElementById('scanQrBtn').classList.toggle('hidden', !('BarcodeDetector' in window));
+        this.showScreen('enrollScreen');
+    },
+
+    parseEnrollCode(text) {
+        const match = text.match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i);
+        return match ? match[0].toLowerCase() : null;
+    },
+
+    // Enrollment QR codes from this version on also carry the vault's server
+    parseEnrollServer(text) {
+        const match = text.match(/[?&]server=([^&\s]+)/);
+        try { return match ? decodeURIComponent(match[1]) : null; } catch { return null; }
+    },
+
+    async enrollAccount() {
+        const accountId = this.parseEnrollCode(document.getElementById('enrollAccountId').value);
+        const passphrase = document.getElementById('enrollPassphrase').value;
+        const errorEl = document.getElementById('enrollError');
+
+        if (!accountId || !passphrase) {
+            errorEl.textContent = 'Enter a valid account ID and your passphrase';
+            errorEl.classList.remove('hidden');
+            return;
+        }
+
+        let serverUrl;
+        try {
+            serverUrl = this.db.normalizeServerUrl(document.getElementById('enrollServerUrl').value);
+        } catch (e) {
+            errorEl.textContent = e.message;
+            errorEl.classList.remove('hidden');
+            return;
+        }
+
+        const btn = document.getElementById('enrollBtn');
+        btn.disabled = true;
+        errorEl.classList.add('hidden');
+        document.getElementById('enrollSpinner').classList.remove('hidden');
+        document.getElementById('enrollBtnText').classList.add('hidden');
+
+        try {
+            await this.db.enrollAccount(accountId, passphrase, serverUrl);
+            const account = await this.db.signIn(accountId, passphrase);
+            document.getElementById('enrollAccountId').value = '';
+            document.getElementById('enrollPassphrase').value = '';
+            this.onSignIn(account);
+            this.showToast('Vault added to this device', 'success');
+        } catch (e) {
+            errorEl.textContent = e.message;
+            errorEl.classList.remove('hidden');
+        } finally {
+            btn.disabled = false;
+            document.getElementById('enrollSpinner').classList.add('hidden');
+            document.getElementById('enrollBtnText').classList.remove('hidden');
+        }
+    },
+
+    async scanEnrollQr() {
+        this.showModal(`
+            <h3 class="text-lg font-semibold mb-4" style="color: var(--text-primary)">Scan Vault QR Code</h3>
+            <video id="qrVideo" class="w-full rounded-lg bg-black" autoplay playsinline muted></video>
+            <button data-action="hideModal" class="btn btn-secondary w-full mt-4">Cancel</button>
+        `);
+
+        try {
+            this.qrStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        } catch {
+            this.hideModal();
+            this.showToast('Camera not available', 'error');
+            return;
+        }
+
+        const video = document.getElementById('qrVideo');
+        video.srcObject = this.qrStream;
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+
+        const scan = async () => {
+            if (!this.qrStream) return;
+            const codes = await detector.detect(video).catch(() => []);
+            const code = codes.find(c => this.parseEnrollCode(c.rawValue));
+            if (code) {
+                document.getElementById('enrollAccountId').value = this.parseEnrollCode(code.rawValue);
+                const serverUrl = this.parseEnrollServer(code.rawValue);
+                if (serverUrl) document.getElementById('enrollServerUrl').value = serverUrl;
+                this.hideModal();
+                document.getElementById('enrollPassphrase').focus();
+                return;
+            }
+            setTimeout(scan, 300);
+        };
+        video.addEventListener('loadeddata', scan, { once: true });
+    },
+
+    stopQrScan() {
+        if (!this.qrStream) return;
+        this.qrStream.getTracks().forEach(t => t.stop());
+        this.qrStream = null;
+    },
+
+    showAddDevice() {
+        const accountId = this.db.crypto.accountId;
+        const serverUrl = this.db.serverUrl;
+        if (!serverUrl) {
+            this.showModal(`
+                <h3 class="text-lg font-semibold mb-2" style="color: var(--text-primary)">Add Another Device</h3>
+                <p class="text-sm mb-4 text-[var(--text-2)]">This vault is kept on this device only. Choose a sync server in Settings first; your other devices sync through it.</p>
+                <div class="flex gap-2">
+                    <button data-action="hideModal" class="btn btn-secondary flex-1">Close</button>
+                    <button data-action="showServerSettings" class="btn btn-primary flex-1">Open Settings</button>
+                </div>
+            `);
+            return;
+        }
+
+        let qrSvg = '';
+        if (typeof qrcode !== 'undefined') {
+            const qr = qrcode(0, 'M');
+            qr.addData(`guardfin://enroll?account=${accountId}&server=${encodeURIComponent(serverUrl)}`);
+            qr.make();
+            qrSvg = qr.createSvgTag({ cellSize: 5, margin: 2, scalable: true });
+        }
+
+        this.showModal(`
+            <h3 class="text-lg font-semibold mb-2" style="color: var(--text-primary)">Add Another Device</h3>
+            <p class="text-sm mb-4 text-[var(--text-2)]">On the new device choose <strong>Add Existing Vault</strong>, then scan this code or enter the account ID. You will need your passphrase.</p>
+            ${qrSvg ? `<div class="bg-white p-3 rounded-lg mx-auto mb-4" style="max-width: 220px">${qrSvg}</div>` : ''}
+            <div class="text-xs text-[var(--text-3)] uppercase tracking-wider mb-1">Account ID</div>
+            <div class="mono text-sm p-3 rounded-lg bg-[var(--bg-3)] break-all select-all">${accountId}</div>
+            <div class="text-xs text-[var(--text-3)] uppercase tracking-wider mb-1 mt-3">Sync server</div>
+            <div class="mono text-sm p-3 rounded-lg bg-[var(--bg-3)] break-all select-all">${serverUrl}</div>
+            <div class="flex gap-2 mt-4">
+                <button data-action="copyAccountId" data-id="${accountId}" class="btn btn-secondary flex-1">Copy ID</button>
+                <button data-action="hideModal" class="btn btn-primary flex-1">Done</button>
+            </div>
+        `);
+    },
+
+    // ===== SYNC SERVER =====
+    showServerSettings() {
+        const serverUrl = this.db.serverUrl;
+        this.showModal(`
+            <h3 class="text-lg font-semibold mb-2" style="color: var(--text-primary)">Sync Server</h3>
+            <p class="text-sm mb-4 text-[var(--text-2)]">${serverUrl
+                ? `This vault syncs through <span class="mono text-[var(--text-1)] break-all">${serverUrl}</span>. The server only ever sees encrypted data.`
+                : 'This vault is kept on this device only. Choose a server to back it up and sync it to your other devices.'}</p>
+            <label class="text-xs text-[var(--text-3)] uppercase tracking-wider mb-2 block">Server URL</label>
+            <div class="flex gap-2">
+                <input type="url" id="serverUrlInput" class="input mono flex-1" value="${serverUrl || DEFAULT_SERVER_URL}" placeholder="https://sync.example.com" autocomplete="off">
+                <button data-action="testServer" class="btn btn-secondary">Test</button>
+            </div>
+            <p id="serverTestResult" class="text-sm mt-2 hidden"></p>
+            <p class="text-xs mt-3 text-[var(--text-3)]">Switching uploads your whole vault to the new server. The copy on the old server is left as it is.</p>
+            <div class="flex gap-2 mt-4">
+                ${serverUrl ? '<button data-action="switchServer" data-offline="true" class="btn btn-ghost flex-1">Keep on this device only</button>' : '<button data-action="hideModal" class="btn btn-ghost flex-1">Cancel</button>'}
+                <button data-action="switchServer" class="btn btn-primary flex-1">${serverUrl ? 'Switch server' : 'Turn on sync'}</button>
+            </div>
+        `);
+    },
+
+    // The server has this vault from before it checked passphrases, so it
+    // won't take a key for it without a code from its operator
+    showClaimVault() {
+        this.showModal(`
+            <h3 class="text-lg font-semibold mb-2" style="color: var(--text-primary)">Claim Your Vault</h3>
+            <p class="text-sm mb-4 text-[var(--text-2)]">Your sync server stored this vault before it checked passphrases. To keep others from taking it over, ask the server's operator for a claim code for this account ID and enter it below.</p>
+            <div class="mono text-sm p-3 rounded-lg bg-[var(--bg-3)] break-all select-all mb-3">${this.db.crypto.accountId}</div>
+            <input type="text" id="claimCodeInput" class="input mono w-full" placeholder="Claim code" autocomplete="off">
+            <div class="flex gap-2 mt-4">
+                <button data-action="hideModal" class="btn btn-ghost flex-1">Cancel</button>
+                <button data-action="claimVault" class="btn btn-primary flex-1">Claim</button>
+            </div>
+        `);
+        document.getElementById('claimCodeInput').focus();
+    },
+
+    async claimVault() {
+        try {
+            await this.db.claimVault(document.getElementById('claimCodeInput').value);
+        } catch (e) {
+            this.showToast(e.claimRequired ? 'That claim code is wrong or has expired' : e.message, 'error');
+            return;
+        }
+        this.hideModal();
+        this.showToast('Vault claimed', 'success');
+        this.db.syncToServer();
+        this.db.startLiveUpdates();
+    },
+
+    // Resolves to the normalized URL if a Guardfin server answers there
+    async testServer() {
+        const resultEl = document.getElementById('serverTestResult');
+        const show = (text, ok) => {
+            resultEl.textContent = text;
+            resultEl.className = `text-sm mt-2 ${ok ? 'text-[var(--accent)]' : 'text-[var(--danger)]'}`;
+        };
+
+        try {
+            const serverUrl = this.db.normalizeServerUrl(document.getElementById('serverUrlInput').value);
+            show('Testing...', true);
+            const health = await this.db.checkServer(serverUrl);
+            show(`Connected · Guardfin ${health.version}${health.aiEnabled ? ' · AI enabled' : ''}`, true);
+            return serverUrl;
+        } catch (e) {
+            show(e instanceof TypeError || e.name === 'TimeoutError' ? 'Could not reach this server' : e.message, false);
+            return null;
+        }
+    },
+
+    // null switches the vault to this device only
+    async switchServer(input) {
+        const serverUrl = input === null ? null : await this.testServer();
+        if (input !== null && !serverUrl) return;
+        if (serverUrl === this.db.serverUrl) {
+            this.hideModal();
+            return;
+        }
+
+        this.showLoading(serverUrl ? 'Uploading vault to new server...' : 'Turning off sync...');
+        try {
+            await this.db.setServer(serverUrl);
+            const status = await this.db.syncToServer();
+            this.db.startLiveUpdates();
+            this.hideModal();
+            if (!serverUrl) {
+                this.showToast('Sync turned off. Your data stays on this device.', 'success');
+            } else if (status === 'synced' || status === 'conflicts') {
+                this.showToast('Vault moved to the new server', 'success');
+            } else if (status === 'delegated') {
+                this.showToast('Server saved. Your other Guardfin tab is uploading the vault.', 'success');
+            } else {
+                this.showToast('Server saved, but the upload did not finish. It will retry on the next change.', 'error');
+            }
+        } catch (e) {
+            this.showToast(e.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    // ===== VERSION HISTORY =====
+    async showHistory() {
+        let snapshots;
+        try {
+            snapshots = await this.db.getSnapshots();
+        } catch (e) {
+            this.showToast('Version history needs a server connection', 'error');
+            return;
+        }
+
+        this.showModal(`
+            <h3 class="text-lg font-semibold mb-2" style="color: var(--text-primary)">Version History</h3>
+            <p class="text-sm mb-4 text-[var(--text-2)]">The server keeps encrypted copies of your vault from before recent syncs. Preview one to see what restoring it would change.</p>
+            ${snapshots.length ? `
+                <div class="space-y-2 max-h-80 overflow-y-auto">
+                    ${snapshots.map(s => `
+                        <div class="flex justify-between items-center gap-3 p-3 rounded-lg bg-[var(--bg-3)]">
+                            <div>
+                                <div class="text-sm text-[var(--text-1)]">${new Date(s.createdAt).toLocaleString()}</div>
+                                <div class="text-xs text-[var(--text-3)] mt-1">${Math.max(1, Math.round(s.size / 1024))} KB encrypted</div>
+                            </div>
+                            <button data-action="previewSnapshot" data-id="${s.id}" class="btn btn-secondary text-xs shrink-0">Preview</button>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : '<p class="text-sm text-center py-6 text-[var(--text-3)]">No snapshots yet. One is taken before the next sync that changes your data.</p>'}
+            <button data-action="hideModal" class="btn btn-ghost w-full mt-4">Close</button>
+        `);
+    },
+
+    async previewSnapshot(id) {
+        this.showLoading('Decrypting snapshot...');
+        try {
+            this.pendingRestore = await this.db.previewSnapshot(id);
+        } catch (e) {
+            this.showToast(e.message, 'error');
+            return;
+        } finally {
+            this.hideLoading();
+        }
+
+        const { createdAt, added, changed, removed, unreadable } = this.pendingRestore;
+        const section = (title, icon, items) => items.length ? `
+            <div>
+                <div class="text-xs text-[var(--text-3)] uppercase tracking-wider mb-2"><i class="fas fa-${icon} mr-1"></i>${title} (${items.length})</div>
+                <div class="space-y-1">
+                    ${items.slice(0, 5).map(({ doc, data }) => `<div class="text-sm text-[var(--text-1)] p-2 rounded bg-[var(--bg-3)] truncate">${this.describeRecord(doc.type, data)}</div>`).join('')}
+                    ${items.length > 5 ? `<div class="text-xs text-[var(--text-3)]">and ${items.length - 5} more</div>` : ''}
+                </div>
+            </div>
+        ` : '';
+
+        this.showModal(`
+            <h3 class="text-lg font-semibold mb-2" style="color: var(--text-primary)">Restore to ${new Date(createdAt).toLocaleString()}</h3>
+            ${added.length || changed.length || removed.length ? `
+                <p class="text-sm mb-4 text-[var(--text-2)]">Restoring replaces your current data on every device with this version.</p>
+                <div class="space-y-4 max-h-80 overflow-y-auto">
+                    ${section('Brought back', 'rotate-left', added)}
+                    ${section('Reverted', 'pen', changed)}
+                    ${section('Removed', 'trash', removed)}
+                </div>
+            ` : '<p class="text-sm py-4 text-[var(--text-2)]">This version matches your current data.</p>'}
+            ${unreadable ? `<p class="text-xs mt-3 text-[var(--danger)]">${unreadable} item(s) in this snapshot could not be decrypted and will be skipped.</p>` : ''}
+            <div class="flex gap-2 mt-4">
+                <button data-action="showHistory" class="btn btn-secondary flex-1">Back</button>
+                ${added.length || changed.length || removed.length ? '<button data-action="restoreSnapshot" class="btn btn-primary flex-1">Restore to this point</button>' : ''}
+            </div>
+        `);
+    },
+
+    async restoreSnapshot() {
+        if (!this.pendingRestore) return;
+        try {
+            await this.db.restoreSnapshot(this.pendingRestore);
+            this.pendingRestore = null;
+            this.hideModal();
+            this.showToast('Vault restored', 'success');
+            await this.refreshTab(this.currentTab);
+        } catch (e) {
+            this.showToast('Restore failed: ' + e.message, 'error');
+        }
+    },
+
     onSignIn(account) {
         document.getElementById('authSection').classList.add('hidden');
         document.getElementById('appContent').classList.remove('hidden');
         document.getElementById('chatToggle').classList.remove('hidden');
         document.getElementById('signOutBtn').classList.remove('hidden');
+        document.getElementById('addDeviceBtn').classList.remove('hidden');
+        document.getElementById('historyBtn').classList.remove('hidden');
+        document.getElementById('settingsBtn').classList.remove('hidden');
 
         this.charts.init();
         this.showTab('dashboard');
         this.initChat();
+        this.db.startSync();
     },
 
+    // Signing out in one tab locks every Guardfin tab
     signOut() {
+        this.db.tabs.post({ type: 'lock' });
+        this.lock();
+    },
+
+    lock() {
+        if (!this.db.userDB) return;
+        this.hideModal();
+        this.cancelChat();
         this.db.signOut();
         document.getElementById('authSection').classList.remove('hidden');
         document.getElementById('appContent').classList.add('hidden');
         document.getElementById('chatToggle').classList.add('hidden');
         document.getElementById('signOutBtn').classList.add('hidden');
+        document.getElementById('addDeviceBtn').classList.add('hidden');
+        document.getElementById('historyBtn').classList.add('hidden');
+        document.getElementById('settingsBtn').classList.add('hidden');
+        this.pendingRestore = null;
         document.getElementById('loginPassphrase').value = '';
         this.showScreen('onboardingScreen');
     },
@@ -1057,10 +2410,10 @@ const App = {
                     ${t.type === 'income' ? '+' : '−'}$${t.amount.toFixed(2)}
                 </div>
                 <div class="flex justify-end gap-2">
-                    <button onclick="App.editTransaction('${t._id}')" class="btn btn-ghost p-2 text-xs">
+                    <button data-action="editTransaction" data-id="${t._id}" class="btn btn-ghost p-2 text-xs">
                         <i class="fas fa-pen"></i>
                     </button>
-                    <button onclick="App.deleteTransaction('${t._id}')" class="btn btn-ghost p-2 text-xs text-[var(--danger)]">
+                    <button data-action="deleteTransaction" data-id="${t._id}" class="btn btn-ghost p-2 text-xs text-[var(--danger)]">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
@@ -1093,8 +2446,8 @@ const App = {
                     <option value="income" ${t.type === 'income' ? 'selected' : ''}>Income</option>
                 </select>
                 <div class="flex gap-2">
-                    <button onclick="App.saveEditTransaction('${id}')" class="btn-primary flex-1">Save</button>
-                    <button onclick="App.hideModal()" class="btn-secondary flex-1">Cancel</button>
+                    <button data-action="saveEditTransaction" data-id="${id}" class="btn-primary flex-1">Save</button>
+                    <button data-action="hideModal" class="btn-secondary flex-1">Cancel</button>
                 </div>
             </div>
         `);
@@ -1144,6 +2497,7 @@ const App = {
                 <div>
                     <span class="font-medium">${t.description}</span>
                     <span class="text-sm ml-2" style="color: var(--text-muted)">${t.category}</span>
+                    <span class="text-sm ml-2 mono" style="color: var(--text-muted)">${new Date(t.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
                 </div>
                 <span class="font-semibold" style="color: ${t.type === 'income' ? 'var(--success)' : 'var(--danger)'}">
                     ${t.type === 'income' ? '+' : '-'}$${t.amount.toFixed(2)}
@@ -1242,7 +2596,7 @@ const App = {
                             <h4 class="font-medium text-[var(--text-1)]">${b.category}</h4>
                             <p class="text-xs text-[var(--text-3)] mt-1">${pct >= 100 ? 'Budget exceeded' : `$${(b.amount - s).toFixed(0)} remaining`}</p>
                         </div>
-                        <button onclick="App.deleteBudget('${b._id}')" class="btn btn-ghost p-1 text-[var(--text-4)]">
+                        <button data-action="deleteBudget" data-id="${b._id}" class="btn btn-ghost p-1 text-[var(--text-4)]">
                             <i class="fas fa-times text-xs"></i>
                         </button>
                     </div>
@@ -1307,7 +2661,7 @@ const App = {
                             <h4 class="font-medium text-[var(--text-1)]">${g.name}</h4>
                             ${g.deadline ? `<p class="text-xs text-[var(--text-3)] mt-1">Due ${new Date(g.deadline).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</p>` : ''}
                         </div>
-                        <button onclick="App.deleteGoal('${g._id}')" class="btn btn-ghost p-1 text-[var(--text-4)]">
+                        <button data-action="deleteGoal" data-id="${g._id}" class="btn btn-ghost p-1 text-[var(--text-4)]">
                             <i class="fas fa-times text-xs"></i>
                         </button>
                     </div>
@@ -1318,7 +2672,7 @@ const App = {
                     <div class="progress-bar mb-4">
                         <div class="progress-fill ${progressClass}" style="width: ${pct}%"></div>
                     </div>
-                    <button onclick="App.updateGoalProgress('${g._id}')" class="btn btn-secondary w-full text-sm">
+                    <button data-action="updateGoalProgress" data-id="${g._id}" class="btn btn-secondary w-full text-sm">
                         <i class="fas fa-plus mr-2"></i>Add Progress
                     </button>
                 </div>
@@ -1358,8 +2712,8 @@ const App = {
             <p class="text-sm mb-3" style="color: var(--text-secondary)">Current: $${goal.current} / $${goal.target}</p>
             <input type="number" id="goalProgressAmount" class="input-field mb-3" placeholder="Amount to add ($)">
             <div class="flex gap-2">
-                <button onclick="App.saveGoalProgress('${id}')" class="btn-primary flex-1">Add</button>
-                <button onclick="App.hideModal()" class="btn-secondary flex-1">Cancel</button>
+                <button data-action="saveGoalProgress" data-id="${id}" class="btn-primary flex-1">Add</button>
+                <button data-action="hideModal" class="btn-secondary flex-1">Cancel</button>
             </div>
         `);
     },
@@ -1421,7 +2775,7 @@ const App = {
                 </div>
                 <div class="flex items-center gap-4">
                     ${r.amount ? `<span class="font-medium text-[var(--text-1)]">$${r.amount}</span>` : ''}
-                    <button onclick="App.deleteReminder('${r._id}')" class="btn btn-ghost p-2 text-[var(--danger)]"><i class="fas fa-trash text-xs"></i></button>
+                    <button data-action="deleteReminder" data-id="${r._id}" class="btn btn-ghost p-2 text-[var(--danger)]"><i class="fas fa-trash text-xs"></i></button>
                 </div>
             </div>
         `).join('') : '<p class="text-sm text-[var(--text-3)] text-center py-6">No reminders set</p>';
@@ -1439,8 +2793,8 @@ const App = {
                     <span style="color: var(--text-secondary)">Recurring monthly</span>
                 </label>
                 <div class="flex gap-2">
-                    <button onclick="App.saveReminder()" class="btn-primary flex-1">Save</button>
-                    <button onclick="App.hideModal()" class="btn-secondary flex-1">Cancel</button>
+                    <button data-action="saveReminder" class="btn-primary flex-1">Save</button>
+                    <button data-action="hideModal" class="btn-secondary flex-1">Cancel</button>
                 </div>
             </div>
         `);
@@ -1470,8 +2824,10 @@ const App = {
     },
 
     // ===== CHAT =====
-    initChat() {
+    async initChat() {
         const messages = document.getElementById('chatMessages');
+        this.pendingActions = null;
+        this.pendingTool = null;
         messages.innerHTML = `
             <div class="chat-bubble chat-ai">
                 <div class="font-medium mb-2">Hey! I can help you:</div>
@@ -1483,68 +2839,395 @@ const App = {
                 </div>
             </div>
         `;
+        for (const turn of await this.agent.loadHistory()) {
+            this.addChatMessage(turn.text, turn.role === 'user' ? 'user' : 'ai');
+        }
     },
 
     async sendChat() {
         const input = document.getElementById('chatInput');
         const message = input.value.trim();
-        if (!message) return;
+        if (!message || this.chatGeneration) return;
 
         this.addChatMessage(message, 'user');
         input.value = '';
 
-        const thinkingId = this.addChatMessage('<i class="fas fa-spinner fa-spin"></i> Thinking...', 'ai');
-
-        const result = await this.agent.chat(message);
-        document.getElementById(thinkingId).remove();
-
-        if (result.requiresConfirmation && result.action) {
-            this.pendingAction = result;
-            this.addChatMessage(result.message, 'ai');
-            this.addChatMessage(`
-                <div class="action-card">
-                    <p class="text-sm mb-2">Ready to execute:</p>
-                    <p class="font-medium">${this.describeAction(result)}</p>
-                    <div class="flex gap-2 mt-3">
-                        <button onclick="App.confirmChatAction()" class="btn-success text-sm px-3 py-1">Confirm</button>
-                        <button onclick="App.cancelChatAction()" class="btn-secondary text-sm px-3 py-1">Cancel</button>
-                    </div>
+        // A new message passes over a data request still waiting for an answer
+        this.pendingTool = null;
+        this.closeActionCard('Skipped.', 'chatToolCard');
+        await this.askAgent(message);
+    },
+
+    // One round-trip to the agent for message. toolResults carries the data it
+    // asked for so far; it may ask for more, up to TOOL_CALLS_MAX times.
+    async askAgent(message, toolResults = []) {
+        // The reply bubble shows a spinner until the first words arrive
+        const reply = document.getElementById(this.addChatMessage('<i class="fas fa-spinner fa-spin"></i> Thinking...', 'ai', true));
+        let text = '';
+        this.chatGeneration = new AbortController();
+        this.setChatBusy(true);
+
+        const result = await this.agent.chat(message, {
+            pendingActions: this.pendingActions,
+            toolResults,
+            signal: this.chatGeneration.signal,
+            onText: (piece) => {
+                text += piece;
+                this.setChatText(reply, text);
+            }
+        });
+        this.chatGeneration = null;
+        this.setChatBusy(false);
+
+        if (!result) {
+            if (text) this.setChatText(reply, `${text} …`);
+            else reply.remove();
+            this.addChatMessage('Stopped.', 'ai');
+            return;
+        }
+
+        // The final message is authoritative, in case the reply had to be repaired
+        this.setChatText(reply, result.message);
+        if (result.error) this.addChatMessage(`⚠️ ${result.error}`, 'ai');
+
+        // The question is remembered once the agent has its data and answers
+        if (result.intent === 'REQUEST_DATA' && result.tool && toolResults.length < TOOL_CALLS_MAX) {
+            this.showToolRequest(message, result.tool, toolResults);
+            return;
+        }
+        await this.agent.remember({ role: 'user', text: message }, { role: 'assistant', text: result.message });
+
+        // Totals are worked out here from decrypted data. The answer stays out
+        // of the history, so it never reaches the server.
+        if (result.intent === 'QUERY_SPENDING' && result.action) {
+            this.addChatMessage(await this.agent.answerQuery(result.action), 'ai');
+            return;
+        }
+
+        // Older servers send a single action without the actions list
+        const actions = result.actions || (result.action ? [{ intent: result.intent, action: result.action }] : []);
+        if (result.requiresConfirmation && actions.length) {
+            await this.showActionChecklist(actions);
+        }
+    },
+
+    // ===== CHAT DATA REQUESTS =====
+    // The agent only sees summaries. When it needs a specific number it asks,
+    // the user sees exactly what would be shared, and only that number is sent.
+    showToolRequest(message, tool, toolResults) {
+        this.pendingTool = { message, tool, toolResults };
+        this.addChatMessage(`
+            <div class="action-card" id="chatToolCard">
+                <p class="text-sm mb-2">The assistant asks for:</p>
+                <p class="font-medium">${this.describeTool(tool)}</p>
+                ${tool.reason ? `<p class="text-xs mt-1 text-[var(--text-3)]">${tool.reason}</p>` : ''}
+                <p class="text-xs mt-2 text-[var(--text-2)]"><i class="fas fa-lock mr-1"></i>Only this number is shared. Your transactions stay on this device.</p>
+                <div class="action-controls flex gap-2 mt-3">
+                    <button data-action="shareToolResult" class="btn-success text-sm px-3 py-1">Share</button>
+                    <button data-action="declineToolResult" class="btn-secondary text-sm px-3 py-1">Don't share</button>
                 </div>
-            `, 'ai', true);
+            </div>
+        `, 'ai', true);
+    },
+
+    // "Total spending on Food & Dining at Uber, Mar 1, 2026 – Mar 31, 2026"
+    describeTool({ name, args }) {
+        const kind = args.type === 'income' ? 'income' : args.type === 'expense' ? 'spending' : 'transactions';
+        const filters = [args.category && `on ${args.category}`, args.merchant && `at ${args.merchant}`].filter(Boolean).join(' ');
+        const day = date => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        const what = {
+            sum_transactions: `Total ${kind}`,
+            count_transactions: `Number of ${args.type ? `${args.type} ` : ''}transactions`,
+            average_transaction: `Average ${args.type === 'income' ? 'income' : 'expense'} transaction`
+        }[name] || name;
+        return `${what}${filters ? ` ${filters}` : ''}, ${day(args.from)} – ${day(args.to)}`;
+    },
+
+    async shareToolResult() {
+        const pending = this.pendingTool;
+        if (!pending || this.chatGeneration) return;
+        this.pendingTool = null;
+
+        const value = await this.agent.runTool(pending.tool);
+        this.closeActionCard(`Shared: ${pending.tool.name === 'count_transactions' ? value : `$${value.toFixed(2)}`}`, 'chatToolCard');
+        await this.askAgent(pending.message, [...pending.toolResults, { name: pending.tool.name, args: pending.tool.args, value }]);
+    },
+
+    async declineToolResult() {
+        const pending = this.pendingTool;
+        if (!pending || this.chatGeneration) return;
+        this.pendingTool = null;
+
+        this.closeActionCard('Not shared.', 'chatToolCard');
+        await this.askAgent(pending.message, [...pending.toolResults, { name: pending.tool.name, args: pending.tool.args, value: null }]);
+    },
+
+    // ===== CHAT ACTIONS =====
+    // Proposed actions wait in a checklist: each can be unticked or edited
+    // before the ticked ones are applied together
+    async showActionChecklist(actions) {
+        this.closeActionCard('Replaced by the proposal below.');
+        this.pendingActions = [];
+        for (const { intent, action } of actions) {
+            const item = { intent, action: { ...action }, accepted: true };
+            await this.resolveChatAction(item);
+            this.pendingActions.push(item);
+        }
+        this.addChatMessage(`
+            <div class="action-card" id="chatActionCard">
+                <p class="text-sm mb-2">Ready to execute:</p>
+                <div id="chatActionList" class="space-y-2"></div>
+                <div class="action-controls flex gap-2 mt-3">
+                    <button data-action="confirmChatAction" class="btn-success text-sm px-3 py-1">Confirm</button>
+                    <button data-action="cancelChatAction" class="btn-secondary text-sm px-3 py-1">Cancel</button>
+                </div>
+            </div>
+        `, 'ai', true);
+        this.renderActionChecklist();
+    },
+
+    // Actions on existing records show which record they will change; one
+    // with nothing to change starts unticked and can't be ticked
+    async resolveChatAction(item) {
+        if (!['DELETE_TRANSACTION', 'UPDATE_TRANSACTION', 'CONTRIBUTE_GOAL'].includes(item.intent)) return;
+        item.target = await this.agent.resolveTarget(item);
+        item.accepted = !!item.target.record;
+    },
+
+    describeTarget({ intent, target }) {
+        if (!target.record) return target.problem;
+        if (intent === 'CONTRIBUTE_GOAL') return `${target.record.name}: $${target.record.current || 0} of $${target.record.target}`;
+        const older = target.others ? ` (newest of ${target.others + 1} matches)` : '';
+        return `${this.describeRecord('transaction', target.record)}${older}`;
+    },
+
+    renderActionChecklist() {
+        const multiple = this.pendingActions.length > 1;
+        document.getElementById('chatActionList').innerHTML = this.pendingActions.map((item, index) => `
+            <div class="flex items-center gap-2 ${item.accepted ? '' : 'opacity-50 line-through'}">
+                ${multiple ? `<input type="checkbox" data-action="toggleChatAction" data-index="${index}" ${item.accepted ? 'checked' : ''} ${item.target && !item.target.record ? 'disabled' : ''}>` : ''}
+                <div class="flex-1">
+                    <span class="font-medium">${this.describeAction(item)}</span>
+                    ${item.target ? `<div class="text-xs ${item.target.record ? 'text-[var(--text-3)]' : 'text-[var(--danger)]'}">${this.describeTarget(item)}</div>` : ''}
+                </div>
+                ${this.actionFields(item.intent).length ? `<button data-action="editChatAction" data-index="${index}" class="btn btn-ghost p-1" title="Edit"><i class="fas fa-pen text-xs"></i></button>` : ''}
+            </div>
+        `).join('');
+    },
+
+    // Takes the buttons off an open checklist or data request, which no longer
+    // has anything to do
+    closeActionCard(note, cardId = 'chatActionCard') {
+        const card = document.getElementById(cardId);
+        if (!card) return;
+        card.removeAttribute('id');
+        card.querySelector('#chatActionList')?.removeAttribute('id');
+        card.querySelectorAll('input, button').forEach(el => el.remove());
+        card.querySelector('.action-controls').outerHTML = `<p class="text-xs mt-2 text-[var(--text-3)]">${note}</p>`;
+    },
+
+    toggleChatAction(index) {
+        const item = this.pendingActions?.[index];
+        if (!item || (item.target && !item.target.record)) return;
+        item.accepted = !item.accepted;
+        this.renderActionChecklist();
+    },
+
+    // Fields the edit form shows for each kind of action
+    actionFields(intent) {
+        const categories = this.getCategories();
+        switch (intent) {
+            case 'ADD_TRANSACTION': return [
+                { name: 'description', label: 'Description', type: 'text' },
+                { name: 'amount', label: 'Amount ($)', type: 'number' },
+                { name: 'category', label: 'Category', options: categories },
+                { name: 'type', label: 'Type', options: ['expense', 'income'] },
+                { name: 'date', label: 'Date - blank for today', type: 'date' }
+            ];
+            case 'SET_BUDGET': return [
+                { name: 'category', label: 'Category', options: categories },
+                { name: 'amount', label: 'Limit ($)', type: 'number' },
+                { name: 'period', label: 'Period', options: ['monthly', 'weekly'] }
+            ];
+            case 'CREATE_GOAL': return [
+                { name: 'name', label: 'Goal', type: 'text' },
+                { name: 'target', label: 'Target ($)', type: 'number' },
+                { name: 'deadline', label: 'Deadline', type: 'date' }
+            ];
+            case 'ADD_REMINDER': return [
+                { name: 'title', label: 'Bill', type: 'text' },
+                { name: 'amount', label: 'Amount ($) - optional', type: 'number' },
+                { name: 'dueDay', label: 'Due day (1-31)', type: 'number' }
+            ];
+            case 'UPDATE_TRANSACTION': return [
+                { name: 'description', label: 'New description - optional', type: 'text' },
+                { name: 'amount', label: 'New amount ($) - optional', type: 'number' },
+                { name: 'category', label: 'New category', options: ['', ...categories] },
+                { name: 'type', label: 'New type', options: ['', 'expense', 'income'] }
+            ];
+            case 'CONTRIBUTE_GOAL': return [
+                { name: 'goal', label: 'Goal', type: 'text' },
+                { name: 'amount', label: 'Amount ($)', type: 'number' }
+            ];
+            default: return [];
+        }
+    },
+
+    // The values an action's edit form changes; for an update, just the changes
+    actionValues(item) {
+        return item.intent === 'UPDATE_TRANSACTION' ? item.action.changes : item.action;
+    },
+
+    editChatAction(index) {
+        const item = this.pendingActions?.[index];
+        if (!item) return;
+
+        const fields = this.actionFields(item.intent).map(field => {
+            const input = field.options
+                ? `<select id="chatAction-${field.name}" class="input-field">
+                        ${field.options.map(o => `<option value="${o}">${o}</option>`).join('')}
+                   </select>`
+                : `<input type="${field.type}" id="chatAction-${field.name}" class="input-field" ${field.type === 'number' ? 'step="0.01"' : ''}>`;
+            return `<label class="block text-sm text-[var(--text-2)]">${field.label}${input}</label>`;
+        }).join('');
+
+        this.showModal(`
+            <h3 class="text-lg font-semibold mb-4" style="color: var(--text-primary)">Edit Action</h3>
+            <div class="space-y-3">
+                ${fields}
+                <div class="flex gap-2">
+                    <button data-action="saveChatAction" data-index="${index}" class="btn-primary flex-1">Save</button>
+                    <button data-action="hideModal" class="btn-secondary flex-1">Cancel</button>
+                </div>
+            </div>
+        `);
+
+        // Set through the DOM, so quotes in a description stay part of it
+        const values = this.actionValues(item);
+        for (const field of this.actionFields(item.intent)) {
+            document.getElementById(`chatAction-${field.name}`).value = values[field.name] ?? '';
+        }
+    },
+
+    async saveChatAction(index) {
+        const item = this.pendingActions?.[index];
+        if (!item) return;
+
+        const values = {};
+        for (const field of this.actionFields(item.intent)) {
+            const raw = document.getElementById(`chatAction-${field.name}`).value.trim();
+            if (field.type === 'number') values[field.name] = raw === '' ? null : parseFloat(raw);
+            else values[field.name] = raw || null;
+        }
+
+        if (item.intent === 'UPDATE_TRANSACTION') {
+            // Blank fields stay as they are
+            const changes = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null));
+            if (!Object.keys(changes).length) {
+                this.showToast('Change at least one field', 'error');
+                return;
+            }
+            if ('amount' in changes && !(changes.amount > 0)) {
+                this.showToast('Enter an amount above zero', 'error');
+                return;
+            }
+            item.action = { ...item.action, changes };
         } else {
-            this.addChatMessage(result.message, 'ai');
+            const action = { ...item.action, ...values };
+            const amount = action.amount ?? action.target;
+            if (item.intent !== 'ADD_REMINDER' && !(amount > 0)) {
+                this.showToast('Enter an amount above zero', 'error');
+                return;
+            }
+            if (item.intent === 'ADD_REMINDER' && !(Number.isInteger(action.dueDay) && action.dueDay >= 1 && action.dueDay <= 31)) {
+                this.showToast('Due day must be between 1 and 31', 'error');
+                return;
+            }
+            if (item.intent === 'CONTRIBUTE_GOAL' && !action.goal) {
+                this.showToast('Name the goal', 'error');
+                return;
+            }
+            item.action = action;
         }
+
+        item.accepted = true;
+        await this.resolveChatAction(item);
+        this.hideModal();
+        this.renderActionChecklist();
+    },
+
+    cancelChat() {
+        this.chatGeneration?.abort();
+    },
+
+    // While a reply is generating, the send button stops it
+    setChatBusy(busy) {
+        const button = document.getElementById('sendChat');
+        button.innerHTML = busy ? '<i class="fas fa-stop"></i>' : '<i class="fas fa-paper-plane"></i>';
+        button.title = busy ? 'Stop generating' : '';
+    },
+
+    // Turns a bubble that may have held HTML, like the spinner, into a text one
+    setChatText(bubble, text) {
+        bubble.classList.add('whitespace-pre-line');
+        bubble.textContent = text;
+        const messages = document.getElementById('chatMessages');
+        messages.scrollTop = messages.scrollHeight;
     },
 
     describeAction(result) {
         const { intent, action } = result;
         switch (intent) {
-            case 'ADD_TRANSACTION': return `Add ${action.type}: $${action.amount} - ${action.description} (${action.category})`;
-            case 'SET_BUDGET': return `Set ${action.category} budget to $${action.amount}/month`;
+            case 'ADD_TRANSACTION': {
+                const day = action.date && fromISODate(action.date);
+                const on = day ? ` on ${day.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}` : '';
+                return `Add ${action.type}: $${action.amount} - ${action.description} (${action.category})${on}`;
+            }
+            case 'SET_BUDGET': return `Set ${action.category} budget to $${action.amount}/${action.period === 'weekly' ? 'week' : 'month'}`;
             case 'CREATE_GOAL': return `Create goal: ${action.name} - $${action.target}`;
             case 'ADD_REMINDER': return `Add reminder: ${action.title} on day ${action.dueDay}`;
+            case 'DELETE_TRANSACTION': return `Delete ${this.describeMatch(action.match)}`;
+            case 'UPDATE_TRANSACTION': {
+                const changes = Object.entries(action.changes).map(([field, value]) => `${field} → ${field === 'amount' ? `$${value}` : value}`);
+                return `Change ${this.describeMatch(action.match)}: ${changes.join(', ')}`;
+            }
+            case 'CONTRIBUTE_GOAL': return `Add $${action.amount} to goal: ${action.goal}`;
             default: return 'Unknown action';
         }
     },
 
+    // "$14 Uber yesterday", as the user described the transaction
+    describeMatch({ description, category, amount, when }) {
+        return [amount && `$${amount}`, description, category, when].filter(Boolean).join(' ') || 'transaction';
+    },
+
     async confirmChatAction() {
-        if (!this.pendingAction) return;
+        const accepted = (this.pendingActions || []).filter(item => item.accepted);
+        if (!accepted.length) {
+            this.showToast('Nothing is ticked to apply; tick an action or cancel', 'error');
+            return;
+        }
         
-        const result = await this.agent.executeAction(this.pendingAction);
-        this.addChatMessage(result.success ? `✅ ${result.message}` : `❌ ${result.message}`, 'ai');
-        this.pendingAction = null;
+        this.pendingActions = null;
+        this.closeActionCard(accepted.length === 1 ? 'Confirmed.' : `Confirmed ${accepted.length} actions.`);
+        const results = await this.agent.executeActions(accepted);
+        const outcome = results.map(result => result.success ? `✅ ${result.message}` : `❌ ${result.message}`).join('\n');
+        this.addChatMessage(outcome, 'ai');
+        await this.agent.remember({ role: 'assistant', text: outcome });
 
         // Refresh current tab
         await this.refreshTab(this.currentTab);
     },
 
-    cancelChatAction() {
-        this.pendingAction = null;
+    async cancelChatAction() {
+        this.pendingActions = null;
+        this.closeActionCard('Cancelled.');
         this.addChatMessage('Action cancelled.', 'ai');
+        await this.agent.remember({ role: 'assistant', text: 'Action cancelled.' });
     },
 
     addChatMessage(content, sender, isHtml = false) {
-        const id = 'msg-' + Date.now();
+        const id = 'msg-' + (++this.chatMessageCount);
         const messages = document.getElementById('chatMessages');
         const div = document.createElement('div');
         div.id = id;
@@ -1552,6 +3235,7 @@ const App = {
         if (isHtml) {
             div.innerHTML = content;
         } else {
+            div.classList.add('whitespace-pre-line');
             div.textContent = content;
         }
         messages.appendChild(div);
@@ -1614,7 +3298,7 @@ const App = {
                 <div class="flex justify-between"><span>Insights</span><span class="kbd">5</span></div>
                 <div class="flex justify-between"><span>Close modal</span><span class="kbd">Esc</span></div>
             </div>
-            <button onclick="App.hideModal()" class="btn-primary w-full mt-4">Got it</button>
+            <button data-action="hideModal" class="btn-primary w-full mt-4">Got it</button>
         `);
     },
 
@@ -1654,15 +3338,60 @@ const App = {
                     </div>
                 </div>
             </div>
-            <button onclick="App.hideModal()" class="btn-primary w-full mt-4">Got it</button>
+            <button data-action="hideModal" class="btn-primary w-full mt-4">Got it</button>
         `);
     },
 
     // ===== EVENT BINDING =====
+    // Template buttons name their handler in data-action and pass arguments as
+    // data-* attributes. Inline onclick handlers would need 'unsafe-inline' in the CSP.
+    actions: {
+        hideModal: () => App.hideModal(),
+        resolveConflict: ({ id, rev }) => App.resolveConflict(id, rev),
+        selectAccount: ({ id, name }) => App.selectAccount(id, name),
+        copyAccountId: ({ id }) => navigator.clipboard.writeText(id).then(() => App.showToast('Account ID copied', 'success')),
+        showServerSettings: () => App.showServerSettings(),
+        claimVault: () => App.claimVault(),
+        testServer: () => App.testServer(),
+        switchServer: ({ offline }) => App.switchServer(offline ? null : document.getElementById('serverUrlInput').value),
+        showHistory: () => App.showHistory(),
+        previewSnapshot: ({ id }) => App.previewSnapshot(id),
+        restoreSnapshot: () => App.restoreSnapshot(),
+        editTransaction: ({ id }) => App.editTransaction(id),
+        saveEditTransaction: ({ id }) => App.saveEditTransaction(id),
+        deleteTransaction: ({ id }) => App.deleteTransaction(id),
+        deleteBudget: ({ id }) => App.deleteBudget(id),
+        deleteGoal: ({ id }) => App.deleteGoal(id),
+        updateGoalProgress: ({ id }) => App.updateGoalProgress(id),
+        saveGoalProgress: ({ id }) => App.saveGoalProgress(id),
+        saveReminder: () => App.saveReminder(),
+        deleteReminder: ({ id }) => App.deleteReminder(id),
+        confirmChatAction: () => App.confirmChatAction(),
+        cancelChatAction: () => App.cancelChatAction(),
+        toggleChatAction: ({ index }) => App.toggleChatAction(Number(index)),
+        editChatAction: ({ index }) => App.editChatAction(Number(index)),
+        saveChatAction: ({ index }) => App.saveChatAction(Number(index)),
+        shareToolResult: () => App.shareToolResult(),
+        declineToolResult: () => App.declineToolResult()
+    },
+
     bindEvents() {
+        document.addEventListener('click', (e) => {
+            const el = e.target.closest('[data-action]');
+            const action = el && this.actions[el.dataset.action];
+            if (action) action(el.dataset);
+        });
+
         // Theme
         document.getElementById('themeToggle')?.addEventListener('click', () => this.toggleTheme());
 
+        // Sync
+        document.getElementById('syncStatus')?.addEventListener('click', () => {
+            if (this.db.claimRequired) this.showClaimVault();
+            else if (this.db.conflicts.length) this.showConflicts();
+            else if (this.db.usage?.nearLimit || this.db.usage?.exceeded) this.showUsage();
+        });
+
         // Auth
         document.getElementById('showLoginBtn')?.addEventListener('click', async () => {
             await this.loadAccounts();
@@ -1676,6 +3405,15 @@ const App = {
         document.getElementById('loginBtn')?.addEventListener('click', () => this.login());
         document.getElementById('createBtn')?.addEventListener('click', () => this.createAccount());
         document.getElementById('signOutBtn')?.addEventListener('click', () => this.signOut());
+        document.getElementById('showEnrollBtn')?.addEventListener('click', () => this.showEnroll());
+        document.getElementById('enrollFromList')?.addEventListener('click', () => this.showEnroll());
+        document.getElementById('backToWelcome3')?.addEventListener('click', () => this.showScreen('welcomeScreen'));
+        document.getElementById('enrollBtn')?.addEventListener('click', () => this.enrollAccount());
+        document.getElementById('scanQrBtn')?.addEventListener('click', () => this.scanEnrollQr());
+        document.getElementById('enrollPassphrase')?.addEventListener('keypress', (e) => { if (e.key === 'Enter') this.enrollAccount(); });
+        document.getElementById('addDeviceBtn')?.addEventListener('click', () => this.showAddDevice());
+        document.getElementById('historyBtn')?.addEventListener('click', () => this.showHistory());
+        document.getElementById('settingsBtn')?.addEventListener('click', () => this.showServerSettings());
 
         document.getElementById('createName')?.addEventListener('input', () => this.validateCreateForm());
         document.getElementById('createPassphrase')?.addEventListener('input', () => this.validateCreateForm());
@@ -1735,7 +3473,7 @@ const App = {
         // Chat
         document.getElementById('chatToggle')?.addEventListener('click', () => this.toggleChat());
         document.getElementById('closeChat')?.addEventListener('click', () => this.toggleChat());
-        document.getElementById('sendChat')?.addEventListener('click', () => this.sendChat());
+        document.getElementById('sendChat')?.addEventListener('click', () => this.chatGeneration ? this.cancelChat() : this.sendChat());
         document.getElementById('chatInput')?.addEventListener('keypress', (e) => { if (e.key === 'Enter') this.sendChat(); });
 
         // Modal
@@ -0,0 +1,189 @@
+// Guardfin date parser - finds the date in a natural-language entry such as
+// "coffee $4 yesterday" or "rent $1200 on the 1st". Loaded by the web client as
+// window.GuardfinDates and required by the server, so both read dates alike.
+// All dates are local: the server passes the client's "today" as now.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GuardfinDates = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const WEEKDAYS = ['sun', 'mon', 'tues', 'wednes', 'thurs', 'fri', 'satur'];
+    const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+    const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+    const ORDINAL = '(?:st|nd|rd|th)';
+    const COUNTS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+    // "on", "from" or "dated" before a date belongs to it
+    const pattern = body => new RegExp(`(?:\\b(?:on|from|dated)\\s+)?${body}`, 'i');
+    const monthIndex = name => MONTHS.findIndex(month => month.startsWith(name.slice(0, 3).toLowerCase()));
+    const fullYear = year => year.length === 2 ? 2000 + parseInt(year) : parseInt(year);
+
+    // The Date for year/month/day, or null when the day doesn't exist
+    function calendarDay(year, month, day) {
+        const date = new Date(year, month, day);
+        return date.getMonth() === month && date.getDate() === day ? date : null;
+    }
+
+    // A date written without a year is the latest one that isn't in the future
+    function latest(month, day, now) {
+        const date = calendarDay(now.getFullYear(), month, day);
+        if (date && date <= now) return date;
+        return calendarDay(now.getFullYear() - 1, month, day);
+    }
+
+    const daysBefore = (now, count) => new Date(now.getFullYear(), now.getMonth(), now.getDate() - count);
+
+    // Single days, tried in order; each read(match, now) returns a Date or null
+    const DAY_PATTERNS = [
+        // 2026-03-14
+        { regex: pattern('\\b(\\d{4})-(\\d{1,2})-(\\d{1,2})\\b'), read: m => calendarDay(parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3])) },
+        // March 14, Mar 14th 2026
+        {
+            regex: pattern(`\\b${MONTH}\\s+(\\d{1,2})${ORDINAL}?(?:,?\\s+(\\d{4}))?\\b`),
+            read: (m, now) => m[3] ? calendarDay(parseInt(m[3]), monthIndex(m[1]), parseInt(m[2])) : latest(monthIndex(m[1]), parseInt(m[2]), now)
+        },
+        // 14 March, the 14th of March 2026
+        {
+            regex: pattern(`\\b(?:the\\s+)?(\\d{1,2})${ORDINAL}?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?\\b`),
+            read: (m, now) => m[3] ? calendarDay(parseInt(m[3]), monthIndex(m[2]), parseInt(m[1])) : latest(monthIndex(m[2]), parseInt(m[1]), now)
+        },
+        // 14.03.2026, day first
+        { regex: pattern('\\b(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4})\\b'), read: m => calendarDay(parseInt(m[3]), parseInt(m[2]) - 1, parseInt(m[1])) },
+        // 3/14 or 3/14/26, month first unless that can't be a month
+        {
+            regex: pattern('\\b(\\d{1,2})/(\\d{1,2})(?:/(\\d{4}|\\d{2}))?\\b'),
+            read: (m, now) => {
+                let [month, day] = [parseInt(m[1]), parseInt(m[2])];
+                if (month > 12) [month, day] = [day, month];
+                return m[3] ? calendarDay(fullYear(m[3]), month - 1, day) : latest(month - 1, day, now);
+            }
+        },
+        // 3 days ago, a week ago
+        {
+            regex: pattern('\\b(\\d{1,3}|an?|one|two|three|four|five|six|seven)\\s+(day|week)s?\\s+ago\\b'),
+            read: (m, now) => daysBefore(now, (COUNTS[m[1].toLowerCase()] || parseInt(m[1])) * (m[2].toLowerCase() === 'week' ? 7 : 1))
+        },
+        { regex: pattern('\\b(?:the\\s+)?day\\s+before\\s+yesterday\\b'), read: (m, now) => daysBefore(now, 2) },
+        { regex: pattern('\\b(?:yesterday|last\\s+night)\\b'), read: (m, now) => daysBefore(now, 1) },
+        { regex: pattern('\\b(?:today|tonight|this\\s+(?:morning|afternoon|evening))\\b'), read: (m, now) => daysBefore(now, 0) },
+        // friday, last friday: the latest one up to today, and "last" is never today
+        {
+            regex: pattern('\\b(?:(last|this)\\s+)?(mon|tues|wednes|thurs|fri|satur|sun)day\\b'),
+            read: (m, now) => {
+                const back = (now.getDay() - WEEKDAYS.indexOf(m[2].toLowerCase()) + 7) % 7;
+                return daysBefore(now, back || (m[1]?.toLowerCase() === 'last' ? 7 : 0));
+            }
+        },
+        // on the 1st, the 15th: this month, or last month if that day is still to come.
+        // A bare "on 5th" only ends the text or a clause, so "lunch on 5th avenue" isn't a date.
+        {
+            regex: pattern(`\\b(?:the\\s+(\\d{1,2})${ORDINAL}\\b|(?<=\\bon\\s+)(\\d{1,2})${ORDINAL}(?=\\s*(?:[.,;:!?)]|$)))`),
+            read: (m, now) => {
+                const day = parseInt(m[1] || m[2]);
+                if (day <= now.getDate()) return calendarDay(now.getFullYear(), now.getMonth(), day);
+                // The nearer of the two months before that has the day, across New Year too
+                for (const back of [1, 2]) {
+                    const month = new Date(now.getFullYear(), now.getMonth() - back, 1);
+                    const date = calendarDay(month.getFullYear(), month.getMonth(), day);
+                    if (date) return date;
+                }
+                return null;
+            }
+        }
+    ];
+
+    // Periods longer than a day
+    const PERIOD_PATTERNS = [
+        {
+            regex: pattern('\\b(this|last)\\s+(week|month|year)\\b'),
+            read: (m, now) => {
+                const last = m[1].toLowerCase() === 'last';
+                const y = now.getFullYear(), mo = now.getMonth();
+                switch (m[2].toLowerCase()) {
+                    case 'week': {
+                        const monday = daysBefore(now, (now.getDay() + 6) % 7 + (last ? 7 : 0));
+                        return { from: monday, to: new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 7) };
+                    }
+                    case 'month': return { from: new Date(y, mo - (last ? 1 : 0), 1), to: new Date(y, mo + (last ? 0 : 1), 1) };
+                    default: return { from: new Date(y - (last ? 1 : 0), 0, 1), to: new Date(y + (last ? 0 : 1), 0, 1) };
+                }
+            }
+        },
+        // in March, March 2025: a month without a year is the latest that has started
+        {
+            regex: new RegExp(`(?:\\bin\\s+)?\\b${MONTH}(?:\\s+(\\d{4}))?\\b`, 'i'),
+            read: (m, now) => {
+                const month = monthIndex(m[1]);
+                const year = m[2] ? parseInt(m[2]) : month > now.getMonth() ? now.getFullYear() - 1 : now.getFullYear();
+                return { from: new Date(year, month, 1), to: new Date(year, month + 1, 1) };
+            }
+        }
+    ];
+
+    function withoutMatch(text, match) {
+        return (text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length)).replace(/\s+/g, ' ').trim();
+    }
+
+    // Finds the first date in text. Returns { date, phrase, rest } with date at
+    // local noon (or now, for today), phrase the words that gave it without a
+    // leading "on", and rest the text without them; null when there is none.
+    function extractDate(text, now = new Date()) {
+        for (const { regex, read } of DAY_PATTERNS) {
+            const match = text.match(regex);
+            if (!match) continue;
+            const day = read(match, now);
+            if (!day) continue;
+            const sameDay = day.toDateString() === now.toDateString();
+            return {
+                date: sameDay ? new Date(now) : new Date(day.getFullYear(), day.getMonth(), day.getDate(), 12),
+                phrase: match[0].replace(/^(?:on|from|dated)\s+/i, ''),
+                rest: withoutMatch(text, match)
+            };
+        }
+        return null;
+    }
+
+    // Finds the first day or period in text: { from, to, phrase, rest } with
+    // local-midnight bounds, to exclusive; null when there is none
+    function extractRange(text, now = new Date()) {
+        const day = extractDate(text, now);
+        if (day) {
+            const from = new Date(day.date.getFullYear(), day.date.getMonth(), day.date.getDate());
+            return { from, to: new Date(from.getFullYear(), from.getMonth(), from.getDate() + 1), phrase: day.phrase, rest: day.rest };
+        }
+        for (const { regex, read } of PERIOD_PATTERNS) {
+            const match = text.match(regex);
+            // "may" on its own is more often the verb
+            if (!match || (/^may$/i.test(match[0]) && match[0] !== text.trim())) continue;
+            return { ...read(match, now), phrase: match[0].replace(/^in\s+/i, ''), rest: withoutMatch(text, match) };
+        }
+        return null;
+    }
+
+    // The { from, to } that date words alone ("yesterday", "last friday",
+    // "march", "3/14") stand for, or null when they aren't all a date
+    function dateRange(words, now = new Date()) {
+        const range = extractRange(words.trim().replace(/^in\s+/i, ''), now);
+        return range && !range.rest ? { from: range.from, to: range.to } : null;
+    }
+
+    // "2026-03-14" in local time, the way extractDate dates a day
+    function toISODate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // The Date to book a YYYY-MM-DD day at: now for today, else local noon
+    function fromISODate(value, now = new Date()) {
+        const [year, month, day] = value.split('-').map(Number);
+        const date = calendarDay(year, month - 1, day);
+        if (!date) return null;
+        return date.toDateString() === now.toDateString() ? new Date(now) : new Date(year, month - 1, day, 12);
+    }
+
+    return { WEEKDAYS, MONTHS, extractDate, extractRange, dateRange, toISODate, fromISODate };
+}));
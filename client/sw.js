@@ -1,17 +1,19 @@
 // Guardfin Service Worker - Enables offline functionality
-const CACHE_NAME = 'guardfin-v1';
+const CACHE_NAME = 'guardfin-v3';
 const OFFLINE_URL = '/index.html';
 
 // Assets to cache immediately on install
 const PRECACHE_ASSETS = [
   '/',
   '/index.html',
+  '/date-parser.js',
   '/app.js',
   '/manifest.json',
   'https://cdn.tailwindcss.com',
   'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
   'https://unpkg.com/pouchdb@8.0.1/dist/pouchdb.min.js',
   'https://cdn.jsdelivr.net/npm/chart.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/qrcode-generator/1.4.4/qrcode.min.js',
   'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css'
 ];
 
@@ -58,17 +60,10 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // For API calls, try network first, then fail gracefully
-  if (url.pathname.startsWith('/api/')) {
-    event.respondWith(
-      fetch(request)
-        .catch(() => {
-          return new Response(
-            JSON.stringify({ error: 'Offline - request queued' }),
-            { headers: { 'Content-Type': 'application/json' } }
-          );
-        })
-    );
+  // API calls go straight to the network; the app treats a failed fetch as
+  // offline. When the server also serves the app these are same-origin, and
+  // neither a cached nor a made-up response may stand in for them.
+  if (url.pathname.startsWith('/api/') || url.pathname === '/metrics') {
     return;
   }
 
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Admin secret hashing, and a CLI that stores a new secret's hash in
+// server-config.json:
+//
+//   node admin-secret.js                     generate a random secret
+//   ADMIN_SECRET=... node admin-secret.js    use your own
+//
+// Only the scrypt hash is written to the config; the secret is printed once.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 32;
+
+async function hashSecret(secret) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(secret, salt, KEY_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifySecret(secret, stored) {
+    const [scheme, salt, hash] = String(stored).split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(secret, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+async function main() {
+    const configFile = path.join(__dirname, 'server-config.json');
+    const config = fs.existsSync(configFile) ? JSON.parse(fs.readFileSync(configFile, 'utf8')) : {};
+    const secret = process.env.ADMIN_SECRET || crypto.randomBytes(32).toString('base64url');
+
+    if (secret.length < 16) {
+        throw new Error('ADMIN_SECRET must be at least 16 characters');
+    }
+
+    config.admin = { ...config.admin, secretHash: await hashSecret(secret) };
+    fs.writeFileSync(configFile, JSON.stringify(config, null, 2));
+
+    console.log(`🔑 Admin secret hash saved to ${configFile}`);
+    if (!process.env.ADMIN_SECRET) {
+        console.log(`   Secret (shown once): ${secret}`);
+    }
+    console.log('   Restart the server, then send it as "Authorization: Bearer <secret>"');
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Failed to set admin secret:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { hashSecret, verifySecret };
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every provider turns a prompt into text:
+//   name, model             shown at startup
+//   generate({ operation, system, prompt, signal })   -> string
+//   stream({ operation, system, prompt, signal })     -> async iterable of text pieces
+// operation is 'agent', 'insights', 'predictions' or 'chat'; system is the
+// instruction text and prompt the per-request part. Aborting the optional
+// signal stops the generation and makes the call or the stream throw.
+
+// Google Gemini through @google/generative-ai
+class GeminiProvider {
+    constructor({ apiKey, model, temperature, maxOutputTokens }) {
+        let GoogleGenerativeAI;
+        try {
+            ({ GoogleGenerativeAI } = require('@google/generative-ai'));
+        } catch (error) {
+            throw new Error('The gemini provider needs the @google/generative-ai package (npm install @google/generative-ai)');
+        }
+
+        this.name = 'gemini';
+        this.model = model;
+        this.client = new GoogleGenerativeAI(apiKey);
+        this.generationConfig = { temperature, maxOutputTokens };
+    }
+
+    modelFor(system) {
+        return this.client.getGenerativeModel({
+            model: this.model,
+            systemInstruction: system,
+            generationConfig: this.generationConfig
+        });
+    }
+
+    async generate({ system, prompt, signal }) {
+        const result = await this.modelFor(system).generateContent(prompt, { signal });
+        return result.response.text();
+    }
+
+    async *stream({ system, prompt, signal }) {
+        const result = await this.modelFor(system).generateContentStream(prompt, { signal });
+        for await (const chunk of result.stream) {
+            yield chunk.text();
+        }
+    }
+}
+
+// Any server with an OpenAI-style /chat/completions endpoint: llama.cpp's
+// llama-server, Ollama, LM Studio, vLLM or a hosted API
+class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey, model, temperature, maxOutputTokens, timeout }) {
+        if (!model) {
+            throw new Error('The openai provider needs ai.model (the model name your endpoint serves)');
+        }
+
+        this.name = 'openai';
+        this.model = model;
+        this.endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+        this.apiKey = apiKey;
+        this.temperature = temperature;
+        this.maxOutputTokens = maxOutputTokens;
+        this.timeout = timeout;
+    }
+
+    async complete({ system, prompt, signal }, stream) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+        const timeout = AbortSignal.timeout(this.timeout);
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.model,
+                messages: [
+                    ...(system ? [{ role: 'system', content: system }] : []),
+                    { role: 'user', content: prompt }
+                ],
+                temperature: this.temperature,
+                max_tokens: this.maxOutputTokens,
+                stream
+            }),
+            signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+        });
+
+        if (!response.ok) {
+            throw new Error(`Model endpoint returned ${response.status}`);
+        }
+        return response;
+    }
+
+    async generate(request) {
+        const response = await this.complete(request, false);
+        const data = await response.json();
+        const text = data.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            throw new Error('Model endpoint returned no message');
+        }
+        return text;
+    }
+
+    // The reply arrives as Server-Sent Events, one "data: {json}" line per
+    // piece, ending with "data: [DONE]"
+    async *stream(request) {
+        const response = await this.complete(request, true);
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const data = line.startsWith('data:') ? line.slice(5).trim() : null;
+                if (!data) continue;
+                if (data === '[DONE]') return;
+                const text = JSON.parse(data).choices?.[0]?.delta?.content;
+                if (text) yield text;
+            }
+        }
+    }
+}
+
+// Canned replies used when no fixture matches
+const DEFAULT_FIXTURES = {
+    agent: [{
+        response: {
+            intent: 'ANSWER',
+            confidence: 1.0,
+            message: 'This is the mock AI provider. Add fixtures to change what it says.',
+            requiresConfirmation: false
+        }
+    }],
+    insights: [{
+        response: {
+            insights: [{
+                type: 'tip',
+                title: 'Mock insight',
+                message: 'This is the mock AI provider.',
+                priority: 3,
+                category: 'general',
+                actionable: false,
+                suggestedAction: null
+            }]
+        }
+    }],
+    predictions: [{
+        response: {
+            predictedTotal: 0,
+            predictedByCategory: {},
+            confidence: 0.5,
+            factors: ['Mock prediction'],
+            recommendation: 'This is the mock AI provider.'
+        }
+    }],
+    chat: [{ response: 'This is the mock AI provider.' }]
+};
+
+// Deterministic replies for offline development and tests. A fixtures file
+// maps each operation to [{ match, response }]: the first entry whose match
+// (a case-insensitive regex, or absent for any prompt) finds the prompt wins.
+// Object responses are returned as JSON, strings as they are.
+class MockProvider {
+    constructor({ fixtures }) {
+        this.name = 'mock';
+        this.model = fixtures ? path.basename(fixtures) : 'built-in fixtures';
+        this.fixtures = { ...DEFAULT_FIXTURES };
+
+        if (fixtures) {
+            const loaded = JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+            for (const [operation, entries] of Object.entries(loaded)) {
+                this.fixtures[operation] = [...entries, ...(DEFAULT_FIXTURES[operation] || [])];
+            }
+        }
+    }
+
+    async generate({ operation, prompt, signal }) {
+        signal?.throwIfAborted();
+        const fixture = (this.fixtures[operation] || [])
+            .find(entry => !entry.match || new RegExp(entry.match, 'i').test(prompt));
+        if (!fixture) {
+            throw new Error(`No mock fixture for ${operation}`);
+        }
+        return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+    }
+
+    // Streams the same reply word by word
+    async *stream(request) {
+        const text = await this.generate(request);
+        for (const piece of text.match(/\s*\S+/g) || []) {
+            request.signal?.throwIfAborted();
+            yield piece;
+        }
+    }
+}
+
+const PROVIDERS = {
+    gemini: {
+        Provider: GeminiProvider,
+        defaultModel: 'gemini-1.5-flash-latest',
+        configured: options => !!options.apiKey && options.apiKey !== 'your-gemini-api-key-here'
+    },
+    openai: {
+        Provider: OpenAICompatibleProvider,
+        defaultModel: null,
+        configured: options => !!options.baseUrl
+    },
+    mock: {
+        Provider: MockProvider,
+        defaultModel: null,
+        configured: () => true
+    }
+};
+
+// options: { provider: 'gemini' | 'openai' | 'mock' | null, model, temperature,
+// maxOutputTokens, apiKey, baseUrl, timeout, fixtures } with fixtures relative
+// to baseDir. Returns null when AI is turned off or the provider lacks its key
+// or endpoint.
+function createAIProvider(options = {}, baseDir = __dirname) {
+    if (!options.provider) return null;
+
+    const entry = PROVIDERS[options.provider];
+    if (!entry) {
+        throw new Error(`Unknown AI provider: ${options.provider}`);
+    }
+    if (!entry.configured(options)) return null;
+
+    return new entry.Provider({
+        temperature: 0.7,
+        maxOutputTokens: 1000,
+        timeout: 60 * 1000,
+        ...options,
+        model: options.model || entry.defaultModel,
+        fixtures: options.fixtures ? path.resolve(baseDir, options.fixtures) : null
+    });
+}
+
+module.exports = {
+    createAIProvider,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    MockProvider
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+// Writes one JSON object per line to a file that rotates by size and age:
+// server.log -> server.log.1 -> ... -> server.log.<maxFiles>, oldest dropped.
+// Client IPs and account ids only ever appear as keyed hashes. The key is
+// random per process unless hashSalt is configured, so hashes correlate
+// requests within a run without identifying anyone across restarts.
+class Logger {
+    constructor(options, fields = {}) {
+        this.options = options;
+        this.fields = fields;
+        this.threshold = LEVELS[options.level] || LEVELS.info;
+    }
+
+    child(fields) {
+        const child = new Logger(this.options, { ...this.fields, ...fields });
+        child.output = this.output;
+        child.hashKey = this.hashKey;
+        return child;
+    }
+
+    hash(value) {
+        if (!value) return null;
+        return crypto.createHmac('sha256', this.hashKey).update(String(value)).digest('hex').slice(0, 12);
+    }
+
+    // Swaps every UUID in a path for its hash: /api/data/<uuid> -> /api/data/~3f2a9c01b7de
+    redactPath(urlPath) {
+        return String(urlPath).replace(UUID_PATTERN, id => `~${this.hash(id.toLowerCase())}`);
+    }
+
+    log(level, message, fields = {}) {
+        if (LEVELS[level] < this.threshold) return;
+
+        const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields };
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+        }
+        this.output.write(JSON.stringify(entry));
+    }
+
+    debug(message, fields) { this.log('debug', message, fields); }
+    info(message, fields) { this.log('info', message, fields); }
+    warn(message, fields) { this.log('warn', message, fields); }
+    error(message, fields) { this.log('error', message, fields); }
+
+    // Calls callback once buffered lines are on disk
+    close(callback) {
+        this.output.close(callback);
+    }
+}
+
+class RotatingFile {
+    constructor({ file, maxSize, rotateInterval, maxFiles, console: toConsole }) {
+        this.file = file;
+        this.maxSize = maxSize;
+        this.rotateInterval = rotateInterval;
+        this.maxFiles = maxFiles;
+        this.toConsole = toConsole;
+        this.stream = null;
+    }
+
+    open() {
+        let stats = null;
+        try { stats = fs.statSync(this.file); } catch {}
+        this.size = stats ? stats.size : 0;
+        this.openedAt = stats ? stats.birthtimeMs || stats.mtimeMs : Date.now();
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        // Opened synchronously so the file exists before a rotation can rename it
+        this.stream = fs.createWriteStream(this.file, { fd: fs.openSync(this.file, 'a') });
+        this.stream.on('error', error => console.error('Log file error:', error.message));
+    }
+
+    rotate() {
+        this.stream.end();
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const from = `${this.file}.${i}`;
+            if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${i + 1}`);
+        }
+        if (this.maxFiles > 0) {
+            fs.renameSync(this.file, `${this.file}.1`);
+        } else {
+            fs.rmSync(this.file, { force: true });
+        }
+        this.open();
+        this.openedAt = Date.now();
+    }
+
+    write(line) {
+        if (this.toConsole) console.log(line);
+        if (!this.file) return;
+
+        if (!this.stream) this.open();
+        if (this.size > 0 && (this.size >= this.maxSize || Date.now() - this.openedAt >= this.rotateInterval)) {
+            this.rotate();
+        }
+        this.stream.write(line + '\n');
+        this.size += Buffer.byteLength(line) + 1;
+    }
+
+    close(callback = () => {}) {
+        if (this.stream) this.stream.end(callback);
+        else process.nextTick(callback);
+        this.stream = null;
+    }
+}
+
+// options: { level, file, maxSize, rotateInterval, maxFiles, console, hashSalt }
+// with file relative to baseDir; a null file logs to the console only
+function createLogger(options = {}, baseDir = __dirname) {
+    const settings = {
+        level: 'info',
+        maxSize: 10 * 1024 * 1024,
+        rotateInterval: 24 * 60 * 60 * 1000,
+        maxFiles: 5,
+        console: true,
+        ...options
+    };
+
+    const logger = new Logger(settings);
+    logger.output = new RotatingFile({ ...settings, file: settings.file ? path.resolve(baseDir, settings.file) : null });
+    logger.hashKey = settings.hashSalt || crypto.randomBytes(32);
+    return logger;
+}
+
+module.exports = { createLogger };
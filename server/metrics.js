@@ -0,0 +1,118 @@
+// Minimal in-process metrics rendered in the Prometheus text exposition format.
+// Label values are always route patterns or fixed names, never account ids.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function labelPairs(labels) {
+    return Object.keys(labels).sort().map(name => [name, String(labels[name])]);
+}
+
+function formatLabels(pairs) {
+    if (!pairs.length) return '';
+    const escape = value => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${pairs.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.values = new Map(); // serialized label pairs -> { pairs, value }
+    }
+
+    inc(labels = {}, amount = 1) {
+        const pairs = labelPairs(labels);
+        const key = JSON.stringify(pairs);
+        const entry = this.values.get(key) || { pairs, value: 0 };
+        entry.value += amount;
+        this.values.set(key, entry);
+    }
+
+    samples() {
+        return [...this.values.values()].map(({ pairs, value }) => [this.name, pairs, value]);
+    }
+}
+
+class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.collect = collect;
+    }
+
+    samples() {
+        return [[this.name, [], this.collect()]];
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = buckets;
+        this.values = new Map(); // serialized label pairs -> { pairs, counts, sum, count }
+    }
+
+    observe(labels, value) {
+        const pairs = labelPairs(labels);
+        const key = JSON.stringify(pairs);
+        const entry = this.values.get(key) || { pairs, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        this.values.set(key, entry);
+    }
+
+    samples() {
+        const samples = [];
+        for (const { pairs, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, i) => samples.push([`${this.name}_bucket`, [...pairs, ['le', String(bound)]], counts[i]]));
+            samples.push([`${this.name}_bucket`, [...pairs, ['le', '+Inf']], count]);
+            samples.push([`${this.name}_sum`, pairs, sum]);
+            samples.push([`${this.name}_count`, pairs, count]);
+        }
+        return samples;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help, collect) {
+        return this.register(new Gauge(name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    render() {
+        const lines = [];
+        for (const metric of this.metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const [name, pairs, value] of metric.samples()) {
+                lines.push(`${name}${formatLabels(pairs)} ${value}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = { Registry };
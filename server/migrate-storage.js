@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Copy encrypted vaults between storage backends.
+//
+//   node migrate-storage.js --from filesystem --to sqlite
+//   node migrate-storage.js --from sqlite --from-path secure-data/vaults.db --to filesystem --to-path export
+//
+// Vaults, their docs and snapshots are copied as-is; nothing is decrypted.
+// Existing vaults in the target are skipped unless --overwrite is given.
+
+const { createStorage } = require('./storage');
+
+function parseArgs(argv) {
+    const args = { overwrite: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--from': args.from = argv[++i]; break;
+            case '--to': args.to = argv[++i]; break;
+            case '--from-path': args.fromPath = argv[++i]; break;
+            case '--to-path': args.toPath = argv[++i]; break;
+            case '--overwrite': args.overwrite = true; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    if (!args.from || !args.to) {
+        throw new Error('Usage: node migrate-storage.js --from <backend> --to <backend> [--from-path <path>] [--to-path <path>] [--overwrite]');
+    }
+    return args;
+}
+
+async function migrate({ from, to, fromPath, toPath, overwrite }) {
+    const source = createStorage({ backend: from, path: fromPath }, __dirname);
+    const target = createStorage({ backend: to, path: toPath }, __dirname);
+    if (source.location === target.location) {
+        throw new Error('Source and target are the same location');
+    }
+
+    await source.init();
+    await target.init();
+
+    let copied = 0;
+    let skipped = 0;
+    try {
+        for (const accountId of await source.list()) {
+            if (await target.stat(accountId)) {
+                if (!overwrite) {
+                    skipped++;
+                    continue;
+                }
+                // Docs are upserted, so clear out the old copy's
+                await target.delete(accountId);
+            }
+            await target.write(accountId, await source.readMeta(accountId), await source.readDocs(accountId));
+            for (const { id } of await source.listSnapshots(accountId)) {
+                await target.writeSnapshot(accountId, id, await source.readSnapshot(accountId, id));
+            }
+            copied++;
+        }
+    } finally {
+        await source.close();
+        await target.close();
+    }
+
+    console.log(`📦 ${source.name} (${source.location}) -> ${target.name} (${target.location})`);
+    console.log(`✅ Copied ${copied} vault(s), skipped ${skipped} existing`);
+}
+
+Promise.resolve().then(() => migrate(parseArgs(process.argv.slice(2)))).catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,1067 @@
+const Ajv = require('ajv');
+const { ACCOUNT_ID_PATTERN, SNAPSHOT_ID_PATTERN } = require('./storage');
+
+// Request and response schemas for every route in server.js. The same table
+// drives request validation and the OpenAPI document at /api/openapi.json.
+// Schemas stick to keywords that mean the same in JSON Schema draft-07 (ajv)
+// and OpenAPI 3.1.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+const uint = { type: 'string', pattern: '^\\d{1,10}$', description: 'a non-negative integer' };
+const json = (description, schema) => ({ description, schema });
+
+// REQUEST_DATA round-trips the agent may make for one chat message
+const TOOL_CALLS_MAX = 3;
+
+const COMPONENTS = {
+    AccountId: { type: 'string', pattern: ACCOUNT_ID_PATTERN.source, description: 'a lowercase v4 UUID' },
+    SnapshotId: { type: 'string', pattern: SNAPSHOT_ID_PATTERN.source, description: 'a millisecond timestamp' },
+    Hex32: { type: 'string', pattern: '^[0-9a-f]{64}$', description: '32 bytes of lowercase hex' },
+    Signature: { type: 'string', pattern: '^[0-9a-f]{128}$', description: 'an Ed25519 signature in lowercase hex' },
+    ClaimCode: { type: 'string', pattern: '^[0-9a-f]{20}$', description: 'a one-time code from the admin API' },
+    Bytes: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 255 } },
+    EncryptedPayload: {
+        type: 'object',
+        description: 'AES-GCM ciphertext produced by the client; the server cannot read it',
+        required: ['iv', 'data'],
+        properties: {
+            version: { type: 'string' },
+            algorithm: { type: 'string' },
+            iv: { ...ref('Bytes'), minItems: 12, maxItems: 12 },
+            data: ref('Bytes'),
+            timestamp: { type: 'number' }
+        }
+    },
+    VaultDoc: {
+        type: 'object',
+        description: 'A PouchDB revision of an encrypted record',
+        required: ['_id', '_rev'],
+        properties: {
+            _id: { type: 'string', minLength: 1, maxLength: 200 },
+            _rev: { type: 'string', pattern: '^\\d+-\\w+$', description: 'a PouchDB revision id' },
+            _deleted: { type: 'boolean' },
+            _revisions: {
+                type: 'object',
+                required: ['start', 'ids'],
+                properties: {
+                    start: { type: 'integer', minimum: 1 },
+                    ids: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            type: { type: 'string' },
+            encryptedData: ref('EncryptedPayload'),
+            createdAt: { type: 'string' },
+            updatedAt: { type: 'string' }
+        }
+    },
+    AccountDescriptor: {
+        type: 'object',
+        description: 'Opaque to the server: the key salt and a key check encrypted with the vault key',
+        required: ['salt', 'keyCheck'],
+        properties: {
+            salt: ref('Bytes'),
+            keyCheck: ref('EncryptedPayload'),
+            createdAt: { type: 'string' }
+        }
+    },
+    FinancialContext: {
+        type: 'object',
+        description: 'Anonymized aggregates computed on the client',
+        additionalProperties: false,
+        properties: {
+            monthlyExpenses: { type: 'number' },
+            monthlyIncome: { type: 'number' },
+            budgetCount: { type: 'integer', minimum: 0 },
+            goalCount: { type: 'integer', minimum: 0 },
+            transactionCount: { type: 'integer', minimum: 0 },
+            totalTransactions: { type: 'integer', minimum: 0 },
+            topCategories: {
+                type: 'array',
+                maxItems: 20,
+                items: { type: 'array', maxItems: 2, items: { type: ['string', 'number'] } }
+            },
+            categoryTotals: { type: 'object', maxProperties: 200, additionalProperties: { type: 'number' } },
+            budgets: {
+                type: 'array',
+                maxItems: 500,
+                items: {
+                    type: 'object',
+                    properties: {
+                        category: { type: 'string', maxLength: 100 },
+                        limit: { type: 'number' },
+                        spent: { type: 'number' }
+                    }
+                }
+            },
+            goals: {
+                type: 'array',
+                maxItems: 500,
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', maxLength: 100 },
+                        progress: { type: ['number', 'null'] }
+                    }
+                }
+            }
+        }
+    },
+    Session: {
+        type: 'object',
+        required: ['token', 'expiresAt'],
+        properties: { token: { type: 'string' }, expiresAt: { type: 'string' } }
+    },
+    Usage: {
+        type: 'object',
+        properties: {
+            bytes: { type: 'integer' },
+            snapshotBytes: { type: 'integer' },
+            docs: { type: 'integer' },
+            maxVaultSize: { type: 'integer' },
+            maxDocs: { type: 'integer' },
+            ratio: { type: 'number' },
+            nearLimit: { type: 'boolean' },
+            exceeded: { type: 'boolean' }
+        }
+    },
+    ChatTurn: {
+        type: 'object',
+        description: 'One earlier chat message, with account numbers and emails masked by the client',
+        required: ['role', 'text'],
+        additionalProperties: false,
+        properties: {
+            role: { enum: ['user', 'assistant'] },
+            text: { type: 'string', maxLength: 500 }
+        }
+    },
+    PendingAction: {
+        type: 'object',
+        description: 'An action the agent proposed last that the user has not confirmed yet',
+        required: ['intent', 'action'],
+        additionalProperties: false,
+        properties: {
+            intent: { type: 'string', maxLength: 40 },
+            action: {
+                type: 'object',
+                maxProperties: 20,
+                additionalProperties: {
+                    anyOf: [
+                        { type: ['string', 'number', 'boolean', 'null'], maxLength: 200 },
+                        {
+                            type: 'object',
+                            description: 'match or changes of an edit',
+                            maxProperties: 10,
+                            additionalProperties: { type: ['string', 'number', 'boolean', 'null'], maxLength: 200 }
+                        }
+                    ]
+                }
+            }
+        }
+    },
+    ToolResult: {
+        type: 'object',
+        description: 'An aggregate the agent asked for, computed on the device; value is null when the user declined to share it',
+        required: ['name', 'args', 'value'],
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', maxLength: 40 },
+            args: {
+                type: 'object',
+                maxProperties: 10,
+                additionalProperties: { type: ['string', 'number', 'null'], maxLength: 200 }
+            },
+            value: { type: ['number', 'null'] }
+        }
+    },
+    AgentResult: {
+        type: 'object',
+        properties: {
+            intent: { type: 'string' },
+            confidence: { type: 'number' },
+            action: { type: 'object' },
+            actions: {
+                type: 'array',
+                description: 'Every proposed action, for the user to confirm, edit or drop one by one; intent and action repeat the first',
+                items: {
+                    type: 'object',
+                    properties: { intent: { type: 'string' }, action: { type: 'object' } }
+                }
+            },
+            message: { type: 'string' },
+            requiresConfirmation: { type: 'boolean' },
+            tool: {
+                type: 'object',
+                description: 'With intent REQUEST_DATA: the aggregate the agent needs. The client asks the user, computes it and sends the chat request again with it in toolResults.',
+                properties: { name: { type: 'string' }, args: { type: 'object' }, reason: { type: 'string' } }
+            },
+            error: { type: 'string', description: 'Why the AI could not answer, when message is a fallback' },
+            timestamp: { type: 'string' }
+        }
+    },
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: { error: { type: 'string' }, requestId: { type: 'string' } }
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['error', 'fields'],
+        properties: {
+            error: { type: 'string' },
+            fields: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        field: { type: 'string', description: 'e.g. body.docs[0]._rev' },
+                        message: { type: 'string' }
+                    }
+                }
+            },
+            requestId: { type: 'string' }
+        }
+    },
+    StaleWrite: {
+        type: 'object',
+        properties: { error: { type: 'string' }, version: { type: 'integer' }, requestId: { type: 'string' } }
+    },
+    QuotaExceeded: {
+        type: 'object',
+        properties: { error: { type: 'string' }, usage: ref('Usage'), requestId: { type: 'string' } }
+    }
+};
+
+const accountParams = { accountId: ref('AccountId') };
+const staleWrite = json('The vault changed since the If-Match version; pull and retry', ref('StaleWrite'));
+const quotaExceeded = json('The write would take the vault past its quota', ref('QuotaExceeded'));
+const collections = ['transactions', 'recurring_bills', 'goals', 'budgets', 'reminders'];
+
+// 'METHOD /path' -> { summary, tags, auth: 'vault' | 'admin', params, query,
+// headers, body, responses }. params maps names to schemas and query maps names
+// to { description, schema }; every path and query value arrives as a string.
+const ROUTES = {
+    'GET /api/health': {
+        summary: 'Health check',
+        tags: ['Health'],
+        responses: {
+            200: json('Server status', {
+                type: 'object',
+                properties: {
+                    status: { type: 'string' },
+                    timestamp: { type: 'string' },
+                    version: { type: 'string' },
+                    aiEnabled: { type: 'boolean' }
+                }
+            })
+        }
+    },
+    'GET /api/openapi.json': {
+        summary: 'This OpenAPI document',
+        tags: ['Health'],
+        responses: { 200: json('OpenAPI 3.1 document', { type: 'object' }) }
+    },
+    'POST /api/auth/challenge': {
+        summary: 'Start vault authentication',
+        tags: ['Auth'],
+        body: {
+            type: 'object',
+            required: ['accountId'],
+            additionalProperties: false,
+            properties: { accountId: ref('AccountId') }
+        },
+        responses: {
+            200: json('A single-use challenge, or registered: false for a vault without a key', {
+                type: 'object',
+                required: ['registered'],
+                properties: {
+                    registered: { type: 'boolean' },
+                    challenge: ref('Hex32'),
+                    legacy: { type: 'boolean', description: 'The vault still has an HMAC key; sign with it too to replace it' },
+                    claimRequired: { type: 'boolean', description: 'The vault predates vault auth; registering needs a claim code' }
+                }
+            })
+        }
+    },
+    'POST /api/auth/register': {
+        summary: "Register a vault's public key (first sync only)",
+        tags: ['Auth'],
+        body: {
+            type: 'object',
+            required: ['accountId', 'publicKey'],
+            additionalProperties: false,
+            properties: {
+                accountId: ref('AccountId'),
+                publicKey: { ...ref('Hex32'), description: 'Ed25519 public key' },
+                claimCode: ref('ClaimCode')
+            }
+        },
+        responses: {
+            200: json('Session for the registered vault; a new vault is stored on its first write', ref('Session')),
+            403: json('The vault predates vault auth and the claim code is missing, wrong or expired', ref('Error')),
+            409: json('The vault already has a key', ref('Error'))
+        }
+    },
+    'POST /api/auth/session': {
+        summary: 'Exchange a signed challenge for a session token',
+        tags: ['Auth'],
+        body: {
+            type: 'object',
+            required: ['accountId', 'challenge', 'signature'],
+            additionalProperties: false,
+            properties: {
+                accountId: ref('AccountId'),
+                challenge: ref('Hex32'),
+                signature: { ...ref('Signature'), description: 'Ed25519 signature of the challenge' },
+                publicKey: { ...ref('Hex32'), description: 'Legacy vaults only: the public key that replaces the HMAC key' },
+                legacySignature: { ...ref('Hex32'), description: 'Legacy vaults only: HMAC-SHA256 of the challenge with the old key' }
+            }
+        },
+        responses: {
+            200: json('Session token', ref('Session')),
+            401: json('Unknown, expired or wrongly signed challenge', ref('Error'))
+        }
+    },
+    'GET /api/data/:accountId': {
+        summary: 'Fetch all encrypted data',
+        tags: ['Sync'],
+        auth: 'vault',
+        params: accountParams,
+        responses: {
+            200: json('Winning revision of every doc, grouped by collection', {
+                type: 'object',
+                properties: {
+                    ...Object.fromEntries(collections.map(c => [c, { type: 'array', items: ref('VaultDoc') }])),
+                    settings: { type: 'object' },
+                    seq: { type: 'integer' },
+                    lastSync: nullable({ type: 'string' })
+                }
+            })
+        }
+    },
+    'GET /api/account/:accountId': {
+        summary: 'Account descriptor for enrolling a new device',
+        tags: ['Sync'],
+        params: accountParams,
+        responses: {
+            200: json('Account descriptor', {
+                type: 'object',
+                properties: { accountId: ref('AccountId'), ...COMPONENTS.AccountDescriptor.properties }
+            }),
+            404: json('No vault with a descriptor for this account', ref('Error'))
+        }
+    },
+    'POST /api/sync': {
+        summary: 'Sync encrypted data (full snapshot)',
+        tags: ['Sync'],
+        auth: 'vault',
+        headers: ['If-Match'],
+        body: {
+            type: 'object',
+            required: ['accountId'],
+            additionalProperties: false,
+            properties: {
+                accountId: ref('AccountId'),
+                ...Object.fromEntries(collections.map(c => [c, { type: 'array', items: ref('VaultDoc') }])),
+                settings: { type: 'object' },
+                account: ref('AccountDescriptor')
+            }
+        },
+        responses: {
+            200: json('Stored', {
+                type: 'object',
+                properties: {
+                    message: { type: 'string' },
+                    syncCount: { type: 'integer' },
+                    usage: ref('Usage'),
+                    timestamp: { type: 'string' }
+                }
+            }),
+            409: staleWrite,
+            507: quotaExceeded
+        }
+    },
+    'GET /api/changes/:accountId': {
+        summary: 'Encrypted docs changed since a sequence number',
+        tags: ['Sync'],
+        auth: 'vault',
+        params: accountParams,
+        query: {
+            since: { description: 'Server sequence from the last pull', schema: uint },
+            limit: { description: 'Page size, at most 1000', schema: uint }
+        },
+        responses: {
+            200: json('One page of changed docs with every leaf revision', {
+                type: 'object',
+                properties: {
+                    docs: { type: 'array', items: ref('VaultDoc') },
+                    lastSeq: { type: 'integer' },
+                    hasMore: { type: 'boolean' }
+                }
+            })
+        }
+    },
+    'POST /api/changes': {
+        summary: 'Push changed encrypted docs',
+        tags: ['Sync'],
+        auth: 'vault',
+        headers: ['If-Match'],
+        body: {
+            type: 'object',
+            required: ['accountId', 'docs'],
+            additionalProperties: false,
+            properties: {
+                accountId: ref('AccountId'),
+                docs: { type: 'array', maxItems: 1000, items: ref('VaultDoc') },
+                account: ref('AccountDescriptor')
+            }
+        },
+        responses: {
+            200: json('Applied', {
+                type: 'object',
+                properties: {
+                    message: { type: 'string' },
+                    accepted: { type: 'integer' },
+                    conflicts: { type: 'array', items: { type: 'string' }, description: 'Ids of docs that now have conflicting branches' },
+                    lastSeq: { type: 'integer' },
+                    usage: ref('Usage'),
+                    timestamp: { type: 'string' }
+                }
+            }),
+            409: staleWrite,
+            507: quotaExceeded
+        }
+    },
+    'GET /api/usage/:accountId': {
+        summary: 'Vault storage used against its quota',
+        tags: ['Sync'],
+        auth: 'vault',
+        params: accountParams,
+        responses: { 200: json('Usage', ref('Usage')) }
+    },
+    'GET /api/events/:accountId': {
+        summary: 'Live vault change events',
+        tags: ['Sync'],
+        auth: 'vault',
+        params: accountParams,
+        responses: {
+            200: {
+                description: 'Server-Sent Events. Each "change" event carries only the new vault sequence, as data: {"seq": N}; the first one is sent on connect. The stream ends when the session expires.',
+                contentType: 'text/event-stream',
+                schema: { type: 'string' }
+            },
+            429: json('Too many open event streams for this vault', ref('Error'))
+        }
+    },
+    'GET /api/snapshots/:accountId': {
+        summary: 'List vault snapshots, newest first',
+        tags: ['Snapshots'],
+        auth: 'vault',
+        params: accountParams,
+        responses: {
+            200: json('Snapshots', {
+                type: 'object',
+                properties: {
+                    snapshots: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { id: ref('SnapshotId'), size: { type: 'integer' }, createdAt: { type: 'string' } }
+                        }
+                    }
+                }
+            })
+        }
+    },
+    'GET /api/snapshots/:accountId/:snapshotId': {
+        summary: 'Encrypted docs in a snapshot',
+        tags: ['Snapshots'],
+        auth: 'vault',
+        params: { ...accountParams, snapshotId: ref('SnapshotId') },
+        responses: {
+            200: json('Live docs at the time of the snapshot', {
+                type: 'object',
+                properties: {
+                    id: ref('SnapshotId'),
+                    createdAt: { type: 'string' },
+                    seq: { type: 'integer' },
+                    docs: { type: 'array', items: ref('VaultDoc') }
+                }
+            }),
+            404: json('Snapshot not found', ref('Error'))
+        }
+    },
+    'POST /api/agent/chat': {
+        summary: 'AI conversation',
+        tags: ['Agent'],
+        body: {
+            type: 'object',
+            required: ['message'],
+            additionalProperties: false,
+            properties: {
+                message: { type: 'string', minLength: 1, maxLength: 1000 },
+                financialContext: ref('FinancialContext'),
+                history: { type: 'array', maxItems: 12, items: ref('ChatTurn'), description: 'Recent turns, oldest first' },
+                pendingActions: { type: 'array', maxItems: 10, items: ref('PendingAction') },
+                today: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: "The user's local date, for reading relative dates" },
+                toolResults: { type: 'array', maxItems: TOOL_CALLS_MAX, items: ref('ToolResult'), description: 'Answers to the REQUEST_DATA replies so far for this message, oldest first' }
+            }
+        },
+        responses: {
+            200: {
+                ...json('Parsed intent and reply', ref('AgentResult')),
+                stream: 'Sent instead when the request has Accept: text/event-stream. "delta" events carry pieces of the message text as data: {"text": "..."}, then a "result" event carries the AgentResult, or an "error" event carries {"error": "..."}.'
+            }
+        }
+    },
+    'POST /api/agent/insights': {
+        summary: 'Generate insights',
+        tags: ['Agent'],
+        body: {
+            type: 'object',
+            required: ['financialData'],
+            additionalProperties: false,
+            properties: { financialData: ref('FinancialContext') }
+        },
+        responses: {
+            200: json('Insights', {
+                type: 'object',
+                properties: {
+                    insights: { type: 'array', items: { type: 'object' } },
+                    error: { type: 'string', description: 'Why the AI could not answer; insights is empty' },
+                    timestamp: { type: 'string' }
+                }
+            })
+        }
+    },
+    'POST /api/agent/predict': {
+        summary: 'Spending predictions',
+        tags: ['Agent'],
+        body: {
+            type: 'object',
+            required: ['financialData'],
+            additionalProperties: false,
+            properties: { financialData: ref('FinancialContext') }
+        },
+        responses: {
+            200: json('Predictions, or null without AI', {
+                type: 'object',
+                properties: {
+                    predictions: nullable({ type: 'object' }),
+                    error: { type: 'string', description: 'Why the AI could not answer; predictions is null' },
+                    timestamp: { type: 'string' }
+                }
+            })
+        }
+    },
+    'POST /api/chat': {
+        summary: 'Free-form financial advice (legacy)',
+        tags: ['Agent'],
+        body: {
+            type: 'object',
+            required: ['message'],
+            additionalProperties: false,
+            properties: {
+                message: { type: 'string', minLength: 1, maxLength: 1000 },
+                financialData: ref('FinancialContext')
+            }
+        },
+        responses: {
+            200: json('Reply', {
+                type: 'object',
+                properties: { response: { type: 'string' }, timestamp: { type: 'string' } }
+            }),
+            503: json('AI is not configured', ref('Error'))
+        }
+    },
+    'DELETE /api/data/:accountId': {
+        summary: "Delete a vault and its snapshots",
+        tags: ['Sync'],
+        auth: 'vault',
+        params: accountParams,
+        body: {
+            type: 'object',
+            required: ['confirmDelete'],
+            additionalProperties: false,
+            properties: { confirmDelete: { const: 'DELETE_ALL_DATA' } }
+        },
+        responses: {
+            200: json('Deleted', {
+                type: 'object',
+                properties: { message: { type: 'string' }, timestamp: { type: 'string' } }
+            })
+        }
+    },
+    'GET /api/admin/stats': {
+        summary: 'Server stats',
+        tags: ['Admin'],
+        auth: 'admin',
+        responses: {
+            200: json('Stats', {
+                type: 'object',
+                properties: {
+                    totalAccounts: { type: 'integer' },
+                    storage: { type: 'string' },
+                    serverUptime: { type: 'number' },
+                    memoryUsage: { type: 'object' },
+                    nodeVersion: { type: 'string' },
+                    aiEnabled: { type: 'boolean' },
+                    lastRequest: { type: 'string' }
+                }
+            })
+        }
+    },
+    'GET /api/admin/accounts': {
+        summary: 'Accounts with vault size and last sync',
+        tags: ['Admin'],
+        auth: 'admin',
+        responses: {
+            200: json('Accounts, most recently active first', {
+                type: 'object',
+                properties: {
+                    accounts: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                accountId: ref('AccountId'),
+                                size: { type: 'integer' },
+                                docs: { type: 'integer' },
+                                syncCount: { type: 'integer' },
+                                quotaUsed: { type: 'number' },
+                                lastSync: nullable({ type: 'string' }),
+                                lastActive: nullable({ type: 'string' }),
+                                registered: { type: 'boolean' },
+                                snapshots: { type: 'integer' },
+                                snapshotSize: { type: 'integer' }
+                            }
+                        }
+                    },
+                    total: { type: 'integer' }
+                }
+            })
+        }
+    },
+    'POST /api/admin/accounts/:accountId/claim': {
+        summary: 'Issue a claim code for a vault stored before vault auth',
+        tags: ['Admin'],
+        auth: 'admin',
+        params: accountParams,
+        responses: {
+            200: json('A one-time code the owner enters to register a key; issuing another replaces it', {
+                type: 'object',
+                properties: { accountId: ref('AccountId'), claimCode: ref('ClaimCode'), expiresAt: { type: 'string' } }
+            }),
+            404: json('No such vault', ref('Error')),
+            409: json('The vault already has a key', ref('Error'))
+        }
+    },
+    'POST /api/admin/purge': {
+        summary: 'Delete accounts inactive for inactiveDays',
+        tags: ['Admin'],
+        auth: 'admin',
+        body: {
+            type: 'object',
+            required: ['inactiveDays'],
+            additionalProperties: false,
+            properties: {
+                inactiveDays: { type: 'integer', minimum: 1 },
+                dryRun: { type: 'boolean', description: 'Only list the matching accounts' }
+            }
+        },
+        responses: {
+            200: json('Matched and purged accounts', {
+                type: 'object',
+                properties: {
+                    dryRun: { type: 'boolean' },
+                    inactiveDays: { type: 'integer' },
+                    matched: { type: 'array', items: { type: 'object' } },
+                    purged: { type: 'array', items: ref('AccountId') },
+                    timestamp: { type: 'string' }
+                }
+            })
+        }
+    },
+    'GET /api/admin/requests': {
+        summary: 'Request counts per route since startup',
+        tags: ['Admin'],
+        auth: 'admin',
+        responses: {
+            200: json('Counts keyed by "METHOD /route"', {
+                type: 'object',
+                properties: { since: { type: 'string' }, routes: { type: 'object' } }
+            })
+        }
+    },
+    'GET /api/admin/audit': {
+        summary: 'Recent admin audit entries, newest first',
+        tags: ['Admin'],
+        auth: 'admin',
+        query: { limit: { description: 'Number of entries, at most 1000', schema: uint } },
+        responses: {
+            200: json('Audit entries', {
+                type: 'object',
+                properties: { entries: { type: 'array', items: { type: 'object' } } }
+            })
+        }
+    },
+    'GET /metrics': {
+        summary: 'Prometheus metrics',
+        tags: ['Admin'],
+        auth: 'admin',
+        responses: {
+            200: { description: 'Prometheus text exposition format', contentType: 'text/plain', schema: { type: 'string' } }
+        }
+    }
+};
+
+// ===== Validation =====
+
+const ajv = new Ajv({ allErrors: true, verbose: true });
+ajv.addKeyword('components');
+
+function objectSchema(properties) {
+    return { type: 'object', properties, additionalProperties: false };
+}
+
+// Compiled lazily so each route only pays for the schemas it uses
+const validators = new Map();
+
+function compile(schema) {
+    return ajv.compile({ ...schema, components: { schemas: COMPONENTS } });
+}
+
+function routeValidators(routeKey) {
+    if (!validators.has(routeKey)) {
+        const route = ROUTES[routeKey];
+        if (!route) throw new Error(`No schema for route ${routeKey}`);
+        validators.set(routeKey, {
+            params: route.params && compile({ ...objectSchema(route.params), required: Object.keys(route.params) }),
+            query: route.query && compile(objectSchema(Object.fromEntries(
+                Object.entries(route.query).map(([name, { schema }]) => [name, schema])))),
+            body: route.body && compile(route.body)
+        });
+    }
+    return validators.get(routeKey);
+}
+
+// ajv error -> { field: 'body.docs[0]._rev', message }
+function formatError(location, error) {
+    let field = location + error.instancePath
+        .split('/')
+        .slice(1)
+        .map(part => /^\d+$/.test(part) ? `[${part}]` : `.${part.replace(/~1/g, '/').replace(/~0/g, '~')}`)
+        .join('');
+
+    let message = error.message;
+    if (error.keyword === 'required') {
+        field += `.${error.params.missingProperty}`;
+        message = 'is required';
+    } else if (error.keyword === 'additionalProperties') {
+        field += `.${error.params.additionalProperty}`;
+        message = 'is not allowed';
+    } else if (error.keyword === 'pattern' && error.parentSchema.description) {
+        message = `must be ${error.parentSchema.description}`;
+    } else if (error.keyword === 'const') {
+        message = `must be ${JSON.stringify(error.params.allowedValue)}`;
+    } else if (error.keyword === 'enum') {
+        message = `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+    }
+    return { field, message };
+}
+
+// Express middleware: 400 with every invalid field, before auth or handlers run
+function validate(routeKey) {
+    const { params, query, body } = routeValidators(routeKey);
+    return (req, res, next) => {
+        const fields = [];
+        const check = (location, validator, value) => {
+            if (validator && !validator(value)) {
+                fields.push(...validator.errors.map(error => formatError(location, error)));
+            }
+        };
+        check('params', params, { ...req.params });
+        check('query', query, { ...req.query });
+        check('body', body, req.body === undefined ? {} : req.body);
+
+        if (fields.length) {
+            return res.status(400).json({ error: 'Invalid request', fields: fields.slice(0, 20) });
+        }
+        next();
+    };
+}
+
+// ===== Model output =====
+
+// What the model may answer for each operation. Replies that break these are
+// sent back once for repair, so every intent, amount and category the client
+// sees has been checked. Strings the client renders may not contain markup.
+
+const CATEGORIES = ['Food & Dining', 'Transportation', 'Shopping', 'Entertainment', 'Bills & Utilities',
+    'Healthcare', 'Education', 'Travel', 'Income', 'Other'];
+const INTENTS = ['ADD_TRANSACTION', 'SET_BUDGET', 'CREATE_GOAL', 'ADD_REMINDER', 'DELETE_TRANSACTION', 'UPDATE_TRANSACTION',
+    'CONTRIBUTE_GOAL', 'QUERY_SPENDING', 'REQUEST_DATA', 'ANALYZE', 'PREDICT', 'SUGGEST', 'ANSWER'];
+
+const text = maxLength => ({ type: 'string', minLength: 1, maxLength, pattern: '^[^<>]*$', description: 'text without < or >' });
+const amount = { type: 'number', exclusiveMinimum: 0, maximum: 1e9 };
+const category = { enum: CATEGORIES };
+const orNull = schema => schema.enum ? { enum: [...schema.enum, null] } : { ...schema, type: [schema.type, 'null'] };
+const date = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'a YYYY-MM-DD date' };
+
+// Which transactions a request refers to. The client does the matching on its
+// decrypted data, and reads when ("yesterday", "last friday", "march") itself.
+const when = { ...orNull(text(60)), description: 'the date words the user wrote' };
+const transactionMatch = {
+    type: 'object',
+    additionalProperties: false,
+    minProperties: 1,
+    properties: { description: orNull(text(200)), category: orNull(category), amount: orNull(amount), when }
+};
+
+const ACTION_SCHEMAS = {
+    ADD_TRANSACTION: {
+        type: 'object',
+        required: ['type', 'amount', 'description', 'category'],
+        additionalProperties: false,
+        properties: { type: { enum: ['expense', 'income'] }, amount, description: text(200), category, date: orNull(date) }
+    },
+    SET_BUDGET: {
+        type: 'object',
+        required: ['category', 'amount'],
+        additionalProperties: false,
+        properties: { category, amount, period: { enum: ['monthly', 'weekly'] } }
+    },
+    CREATE_GOAL: {
+        type: 'object',
+        required: ['name', 'target'],
+        additionalProperties: false,
+        properties: {
+            name: text(200),
+            target: amount,
+            deadline: orNull(date)
+        }
+    },
+    ADD_REMINDER: {
+        type: 'object',
+        required: ['title', 'dueDay'],
+        additionalProperties: false,
+        properties: {
+            title: text(200),
+            amount: { ...amount, type: ['number', 'null'] },
+            dueDay: { type: 'integer', minimum: 1, maximum: 31 },
+            recurring: { type: 'boolean' }
+        }
+    },
+    DELETE_TRANSACTION: {
+        type: 'object',
+        required: ['match'],
+        additionalProperties: false,
+        properties: { match: transactionMatch }
+    },
+    UPDATE_TRANSACTION: {
+        type: 'object',
+        required: ['match', 'changes'],
+        additionalProperties: false,
+        properties: {
+            match: transactionMatch,
+            changes: {
+                type: 'object',
+                additionalProperties: false,
+                minProperties: 1,
+                properties: { type: { enum: ['expense', 'income'] }, amount, description: text(200), category }
+            }
+        }
+    },
+    CONTRIBUTE_GOAL: {
+        type: 'object',
+        required: ['goal', 'amount'],
+        additionalProperties: false,
+        properties: { goal: text(200), amount }
+    }
+};
+
+// Questions the client answers from its own data; nothing waits for confirmation
+const QUERY_SCHEMAS = {
+    QUERY_SPENDING: {
+        type: 'object',
+        required: ['type'],
+        additionalProperties: false,
+        properties: { type: { enum: ['expense', 'income'] }, category: orNull(category), description: orNull(text(200)), when }
+    }
+};
+
+const ACTION_INTENTS = Object.keys(ACTION_SCHEMAS);
+
+// Aggregates the agent may ask the client for (intent REQUEST_DATA). Each is
+// one number computed on the device from from..to inclusive, after the user
+// approves; the transactions themselves never leave it.
+const transactionFilter = (required, type) => ({
+    type: 'object',
+    required,
+    additionalProperties: false,
+    properties: { type, category: orNull(category), merchant: orNull(text(100)), from: date, to: date }
+});
+const TOOL_SCHEMAS = {
+    sum_transactions: transactionFilter(['type', 'from', 'to'], { enum: ['expense', 'income'] }),
+    count_transactions: transactionFilter(['from', 'to'], { enum: ['expense', 'income', null] }),
+    average_transaction: transactionFilter(['type', 'from', 'to'], { enum: ['expense', 'income'] })
+};
+
+// A tool's args must match that tool's schema
+const argsFor = Object.entries(TOOL_SCHEMAS).map(([name, args]) => ({
+    if: { properties: { name: { const: name } } },
+    then: { properties: { args } }
+}));
+
+// An intent's action must match that intent's schema
+const actionFor = Object.entries({ ...ACTION_SCHEMAS, ...QUERY_SCHEMAS }).map(([intent, action]) => ({
+    if: { properties: { intent: { const: intent } } },
+    then: { required: ['action'], properties: { action } }
+}));
+
+const MODEL_OUTPUTS = {
+    agent: {
+        type: 'object',
+        required: ['intent', 'message'],
+        properties: {
+            intent: { enum: INTENTS },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            action: { type: ['object', 'null'] },
+            actions: {
+                type: 'array',
+                maxItems: 10,
+                items: {
+                    type: 'object',
+                    required: ['intent', 'action'],
+                    properties: { intent: { enum: ACTION_INTENTS }, action: { type: 'object' } },
+                    allOf: actionFor
+                }
+            },
+            tool: {
+                type: 'object',
+                required: ['name', 'args'],
+                additionalProperties: false,
+                properties: { name: { enum: Object.keys(TOOL_SCHEMAS) }, args: { type: 'object' }, reason: text(200) },
+                allOf: argsFor
+            },
+            message: { type: 'string', minLength: 1, maxLength: 4000 },
+            requiresConfirmation: { type: 'boolean' }
+        },
+        allOf: [...actionFor, { if: { properties: { intent: { const: 'REQUEST_DATA' } } }, then: { required: ['tool'] } }]
+    },
+    insights: {
+        type: 'object',
+        required: ['insights'],
+        properties: {
+            insights: {
+                type: 'array',
+                maxItems: 10,
+                items: {
+                    type: 'object',
+                    required: ['type', 'title', 'message'],
+                    properties: {
+                        type: { enum: ['warning', 'tip', 'achievement', 'alert'] },
+                        title: text(200),
+                        message: text(1000),
+                        priority: { type: 'integer', minimum: 1, maximum: 5 },
+                        category: { enum: ['spending', 'budget', 'goals', 'savings', 'general'] },
+                        actionable: { type: 'boolean' },
+                        suggestedAction: { ...text(500), type: ['string', 'null'] }
+                    }
+                }
+            }
+        }
+    },
+    predictions: {
+        type: 'object',
+        required: ['predictedTotal'],
+        properties: {
+            predictedTotal: { type: 'number', minimum: 0 },
+            predictedByCategory: {
+                type: 'object',
+                propertyNames: category,
+                additionalProperties: { type: 'number', minimum: 0 }
+            },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            factors: { type: 'array', maxItems: 10, items: text(300) },
+            recommendation: text(1000)
+        }
+    }
+};
+
+const modelValidators = new Map();
+
+// -> [] when value is a valid reply for operation, else problems such as
+// 'reply.action.amount must be > 0'
+function checkModelOutput(operation, value) {
+    if (!modelValidators.has(operation)) {
+        modelValidators.set(operation, ajv.compile(MODEL_OUTPUTS[operation]));
+    }
+    const validator = modelValidators.get(operation);
+    if (validator(value)) return [];
+    return validator.errors
+        .filter(error => error.keyword !== 'if' && error.keyword !== 'propertyNames')
+        .map(error => formatError('reply', error))
+        .map(({ field, message }) => `${field} ${message}`);
+}
+
+// ===== OpenAPI =====
+
+function openApiDocument({ version, serverUrl }) {
+    const paths = {};
+    for (const [key, route] of Object.entries(ROUTES)) {
+        const [method, expressPath] = key.split(' ');
+        const openApiPath = expressPath.replace(/:(\w+)/g, '{$1}');
+
+        const parameters = [
+            ...Object.entries(route.params || {}).map(([name, schema]) => ({ name, in: 'path', required: true, schema })),
+            ...Object.entries(route.query || {}).map(([name, { description, schema }]) => ({ name, in: 'query', description, schema })),
+            ...(route.headers || []).map(name => ({ name, in: 'header', description: 'Vault version from a previous ETag, as "<seq>"', schema: { type: 'string' } }))
+        ];
+
+        const responses = {};
+        for (const [status, { description, schema, contentType = 'application/json', stream }] of Object.entries(route.responses)) {
+            responses[status] = { description, content: { [contentType]: { schema } } };
+            if (stream) responses[status].content['text/event-stream'] = { schema: { type: 'string', description: stream } };
+        }
+        if (route.params || route.query || route.body) {
+            responses[400] = { description: 'Invalid request', content: { 'application/json': { schema: ref('ValidationError') } } };
+        }
+        if (route.auth) {
+            responses[401] = { description: 'Missing or invalid credentials', content: { 'application/json': { schema: ref('Error') } } };
+        }
+        responses[429] = { description: 'Rate limited', content: { 'application/json': { schema: ref('Error') } } };
+        responses[500] = { description: 'Server error', content: { 'application/json': { schema: ref('Error') } } };
+
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][method.toLowerCase()] = {
+            operationId: `${method.toLowerCase()}${expressPath.replace(/\/:?(\w)/g, (m, c) => c.toUpperCase()).replace(/\W/g, '')}`,
+            summary: route.summary,
+            tags: route.tags,
+            ...(route.auth && { security: [{ [route.auth === 'admin' ? 'adminSecret' : 'vaultSession']: [] }] }),
+            ...(parameters.length && { parameters }),
+            ...(route.body && { requestBody: { required: true, content: { 'application/json': { schema: route.body } } } }),
+            responses
+        };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Guardfin API',
+            version,
+            description: 'Zero-knowledge sync and AI assistant API. Vault contents are encrypted on the client; the server only stores ciphertext.'
+        },
+        servers: [{ url: serverUrl }],
+        components: {
+            schemas: COMPONENTS,
+            securitySchemes: {
+                vaultSession: { type: 'http', scheme: 'bearer', description: 'Session token from /api/auth/session or /api/auth/register' },
+                adminSecret: { type: 'http', scheme: 'bearer', description: 'Admin secret (see admin-secret.js)' }
+            }
+        },
+        paths
+    };
+}
+
+module.exports = { ROUTES, CATEGORIES, ACTION_INTENTS, TOOL_CALLS_MAX, validate, checkModelOutput, openApiDocument };
@@ -1,34 +1,87 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createStorage } = require('./storage');
+const { createAIProvider } = require('./ai-providers');
+const { verifySecret } = require('./admin-secret');
+const { createLogger } = require('./logger');
+const { Registry } = require('./metrics');
+const { ROUTES, CATEGORIES, ACTION_INTENTS, TOOL_CALLS_MAX, validate, checkModelOutput, openApiDocument } = require('./schemas');
+// The web client's date parser, so server and client read "yesterday" alike
+const { extractDate, extractRange, toISODate } = require('../client/date-parser');
 
 const app = express();
 const PORT = 3001;
-const DB_DIR = path.join(__dirname, 'secure-data');
 const CONFIG_FILE = path.join(__dirname, 'server-config.json');
 
-// Ensure data directory exists
-if (!fs.existsSync(DB_DIR)) {
-    fs.mkdirSync(DB_DIR, { recursive: true });
-}
-
 // Load or create server configuration
 let serverConfig = {
     apiKey: process.env.GEMINI_API_KEY || 'your-gemini-api-key-here',
-    allowedOrigins: ['http://localhost:3000', 'http://127.0.0.1:3000', 'null'],
+    allowedOrigins: ['http://localhost:3000', 'http://127.0.0.1:3000'],
     maxSyncSize: 50 * 1024 * 1024,
     rateLimitWindow: 15 * 60 * 1000,
-    rateLimitRequests: 100
+    rateLimitRequests: 100,
+    sessionTtl: 15 * 60 * 1000,
+    trustProxy: false,
+    storage: { backend: 'filesystem' },
+    ai: {
+        provider: 'gemini',
+        model: null,
+        temperature: 0.7,
+        maxOutputTokens: 1000,
+        baseUrl: 'http://localhost:11434/v1',
+        timeout: 60 * 1000,
+        fixtures: null
+    },
+    snapshots: {
+        keep: 20,
+        interval: 15 * 60 * 1000,
+        maxAge: 90 * 24 * 60 * 60 * 1000
+    },
+    admin: {
+        secretHash: null,
+        auditLog: 'admin-audit.log'
+    },
+    quota: {
+        maxVaultSize: 25 * 1024 * 1024,
+        maxDocs: 50000,
+        warnAt: 0.8,
+        accounts: {}
+    },
+    logging: {
+        level: 'info',
+        file: 'server.log',
+        maxSize: 10 * 1024 * 1024,
+        rotateInterval: 24 * 60 * 60 * 1000,
+        maxFiles: 5,
+        console: true,
+        hashSalt: null
+    },
+    client: {
+        serve: true,
+        path: '../client',
+        connectSrc: [],
+        hstsMaxAge: 180 * 24 * 60 * 60
+    }
 };
 
 if (fs.existsSync(CONFIG_FILE)) {
     try {
         const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-        serverConfig = { ...serverConfig, ...config };
+        serverConfig = {
+            ...serverConfig,
+            ...config,
+            ai: { ...serverConfig.ai, ...config.ai },
+            snapshots: { ...serverConfig.snapshots, ...config.snapshots },
+            admin: { ...serverConfig.admin, ...config.admin },
+            quota: { ...serverConfig.quota, ...config.quota },
+            logging: { ...serverConfig.logging, ...config.logging },
+            client: { ...serverConfig.client, ...config.client }
+        };
     } catch (error) {
         console.warn('Warning: Could not load server config, using defaults');
     }
@@ -36,39 +89,185 @@ if (fs.existsSync(CONFIG_FILE)) {
     fs.writeFileSync(CONFIG_FILE, JSON.stringify(serverConfig, null, 2));
 }
 
-// Initialize Gemini AI
-let genAI = null;
-let aiModel = null;
+// Behind a reverse proxy, its X-Forwarded-* headers give the client's IP and
+// the scheme the browser used, which the same-origin check compares against
+app.set('trust proxy', serverConfig.trustProxy);
+
+// Encrypted vault storage backend
+const storage = createStorage(serverConfig.storage, __dirname);
+
+// Structured JSON logs; IPs and account ids are hashed
+const logger = createLogger(serverConfig.logging, __dirname);
+
+// Prometheus metrics, served on /metrics to the admin credential
+const metrics = new Registry();
+const httpRequests = metrics.counter('guardfin_http_requests_total', 'HTTP requests by method, route and status');
+const httpDuration = metrics.histogram('guardfin_http_request_duration_seconds', 'HTTP request latency by method and route');
+const syncPayloadBytes = metrics.histogram('guardfin_sync_payload_bytes', 'Encrypted sync payload size by direction',
+    [1024, 10 * 1024, 100 * 1024, 1024 * 1024, 10 * 1024 * 1024, 50 * 1024 * 1024]);
+const aiRequests = metrics.counter('guardfin_ai_requests_total', 'AI model calls by operation');
+const aiFailures = metrics.counter('guardfin_ai_failures_total', 'Failed AI model calls by operation');
+const aiInvalidReplies = metrics.counter('guardfin_ai_invalid_replies_total', 'Model replies that failed validation, by operation and whether the repair worked');
+const aiToolRequests = metrics.counter('guardfin_ai_tool_requests_total', 'Aggregates the agent asked clients for, by tool');
+const localParserHits = metrics.counter('guardfin_local_parser_hits_total', 'Agent messages handled by the local parser, by intent');
+const rateLimitRejections = metrics.counter('guardfin_rate_limit_rejections_total', 'Requests rejected by rate limiting, by limiter');
+metrics.gauge('guardfin_process_uptime_seconds', 'Seconds since the server started', () => process.uptime());
+metrics.gauge('guardfin_process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+metrics.gauge('guardfin_event_streams', 'Open vault change event streams', () => countEventStreams());
+
+// AI model provider (null when AI is off). The top-level apiKey predates the
+// ai section and is still the Gemini key; other providers never see it.
+const aiProvider = createAIProvider(serverConfig.ai.provider === 'gemini'
+    ? { apiKey: serverConfig.apiKey, ...serverConfig.ai }
+    : serverConfig.ai, __dirname);
+
+// Every model call goes through here so calls and failures are counted
+async function generateText(operation, system, prompt, signal = null) {
+    aiRequests.inc({ operation });
+    try {
+        return await aiProvider.generate({ operation, system, prompt, signal });
+    } catch (error) {
+        if (!signal?.aborted) aiFailures.inc({ operation });
+        throw error;
+    }
+}
 
-function initializeAI() {
-    if (serverConfig.apiKey && serverConfig.apiKey !== 'your-gemini-api-key-here') {
-        genAI = new GoogleGenerativeAI(serverConfig.apiKey);
-        aiModel = genAI.getGenerativeModel({ 
-            model: "gemini-1.5-flash-latest",
-            generationConfig: {
-                maxOutputTokens: 1000,
-                temperature: 0.7,
+// Streaming variant: onText gets each new piece of the reply's message text as
+// the model writes it, and the whole raw reply resolves at the end
+async function streamText(operation, system, prompt, { signal, onText }) {
+    aiRequests.inc({ operation });
+    try {
+        let raw = '';
+        let sent = '';
+        for await (const piece of aiProvider.stream({ operation, system, prompt, signal })) {
+            raw += piece;
+            const text = partialReplyMessage(raw);
+            if (text.length > sent.length) {
+                onText(text.slice(sent.length));
+                sent = text;
             }
-        });
-        return true;
+        }
+        return raw;
+    } catch (error) {
+        if (!signal.aborted) aiFailures.inc({ operation });
+        throw error;
     }
-    return false;
 }
 
-initializeAI();
-
-// Middleware setup
-app.use(cors({
-    origin: (origin, callback) => {
-        if (!origin || serverConfig.allowedOrigins.includes(origin) || origin === 'null') {
-            callback(null, true);
+const JSON_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Replies are JSON, so their "message" string is decoded as far as it has
+// arrived, stopping short of a half-received escape. Replies that are not
+// JSON at all are plain text and stream as they are.
+function partialReplyMessage(raw) {
+    const text = raw.trimStart();
+    if (text && !text.startsWith('{') && !text.startsWith('`')) return text;
+
+    const start = raw.match(/"message"\s*:\s*"/);
+    if (!start) return '';
+
+    let message = '';
+    for (let i = start.index + start[0].length; i < raw.length; i++) {
+        const char = raw[i];
+        if (char === '"') break;
+        if (char !== '\\') {
+            message += char;
+            continue;
+        }
+        const escape = raw[i + 1];
+        if (escape === undefined) break;
+        if (escape === 'u') {
+            const hex = raw.slice(i + 2, i + 6);
+            if (hex.length < 4) break;
+            message += String.fromCharCode(parseInt(hex, 16));
+            i += 5;
         } else {
-            callback(new Error('Not allowed by CORS'));
+            message += JSON_ESCAPES[escape] || escape;
+            i++;
         }
-    },
+    }
+    return message;
+}
+
+// Middleware setup
+
+// Request ids and request logging. Logged paths have account ids replaced by
+// their hashes, and error responses echo the id so it can be matched to the log.
+app.use((req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    req.id = typeof incoming === 'string' && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.setHeader('X-Request-Id', req.id);
+    
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const isError = res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body);
+        return json(isError ? { ...body, requestId: req.id } : body);
+    };
+    
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const status = res.statusCode;
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        const route = req.route ? req.route.path : res.locals.route || 'unmatched';
+        httpRequests.inc({ method: req.method, route, status });
+        httpDuration.observe({ method: req.method, route }, seconds);
+        
+        const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+        req.log[level]('request', {
+            method: req.method,
+            route: req.route ? req.route.path : null,
+            path: logger.redactPath(req.originalUrl.split('?')[0]),
+            status,
+            durationMs: Math.round(seconds * 100000) / 100,
+            ip: logger.hash(req.ip),
+            account: logger.hash((req.params && req.params.accountId) || (req.body && req.body.accountId))
+        });
+    });
+    next();
+});
+
+// The client served by this server is same-origin and needs no allowedOrigins
+// entry; the list is only for clients hosted somewhere else
+const corsOptions = {
+    origin: true,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'X-Request-Id'],
+    exposedHeaders: ['ETag', 'X-Request-Id']
+};
+
+// Compares scheme and host, so http://host can't pass for https://host
+function isSameOrigin(req, origin) {
+    try {
+        return new URL(origin).origin === `${req.protocol}://${req.get('host')}`;
+    } catch {
+        return false;
+    }
+}
+
+// For a preflight, the method of the request it asks about
+function isStateChanging(req) {
+    const method = req.method === 'OPTIONS' ? req.headers['access-control-request-method'] : req.method;
+    return !['GET', 'HEAD'].includes(String(method).toUpperCase());
+}
+
+// "Origin: null" comes from sandboxed frames and file:// pages, which any
+// site can produce, so even when listed in allowedOrigins it may only read
+function isAllowedOrigin(req, origin) {
+    if (origin === 'null') return !isStateChanging(req) && serverConfig.allowedOrigins.includes(origin);
+    return isSameOrigin(req, origin) || serverConfig.allowedOrigins.includes(origin);
+}
+
+app.use(cors((req, callback) => {
+    const origin = req.headers.origin;
+    if (!origin || isAllowedOrigin(req, origin)) {
+        callback(null, corsOptions);
+    } else {
+        const error = new Error('Not allowed by CORS');
+        error.status = 403;
+        callback(error);
+    }
 }));
 
 app.use(bodyParser.json({ 
@@ -83,7 +282,7 @@ app.use(bodyParser.json({
 }));
 
 // Rate limiting
-const createRateLimiter = (windowMs, max, message) => rateLimit({
+const createRateLimiter = (name, windowMs, max, message) => rateLimit({
     windowMs,
     max,
     message: { error: message },
@@ -92,54 +291,504 @@ const createRateLimiter = (windowMs, max, message) => rateLimit({
     keyGenerator: (req) => {
         const accountId = req.body?.accountId || req.params?.accountId || 'anonymous';
         return `${accountId}_${req.ip}`;
+    },
+    handler: (req, res, next, options) => {
+        rateLimitRejections.inc({ limiter: name });
+        res.status(options.statusCode).json(options.message);
     }
 });
 
 app.use('/api', createRateLimiter(
+    'api',
     serverConfig.rateLimitWindow,
     serverConfig.rateLimitRequests,
     'Too many requests, please try again later'
 ));
 
-const chatRateLimit = createRateLimiter(60 * 1000, 15, 'Too many AI requests, please wait');
-const agentRateLimit = createRateLimiter(60 * 1000, 30, 'Too many agent requests, please wait');
-
-// Request logging
-app.use((req, res, next) => {
-    const timestamp = new Date().toISOString();
-    const logEntry = `${timestamp} - ${req.method} ${req.path} - ${req.ip}`;
-    console.log(logEntry);
-    fs.appendFileSync(path.join(__dirname, 'server.log'), logEntry + '\n');
-    next();
-});
+const chatRateLimit = createRateLimiter('chat', 60 * 1000, 15, 'Too many AI requests, please wait');
+const agentRateLimit = createRateLimiter('agent', 60 * 1000, 30, 'Too many agent requests, please wait');
+const authRateLimit = createRateLimiter('auth', 60 * 1000, 10, 'Too many authentication attempts, please wait');
+const adminRateLimit = createRateLimiter('admin', 60 * 1000, 20, 'Too many admin requests, please wait');
+
+const serverStartedAt = new Date().toISOString();
+
+// Records the size of successful sync transfers: request bodies for pushes,
+// response bodies for pulls
+function countSyncPayload(direction) {
+    return (req, res, next) => {
+        res.on('finish', () => {
+            if (res.statusCode >= 400) return;
+            const bytes = direction === 'push' ? req.headers['content-length'] : res.getHeader('Content-Length');
+            syncPayloadBytes.observe({ direction }, Number(bytes) || 0);
+        });
+        next();
+    };
+}
 
-// Security headers
+// Security headers. API responses are never rendered, so their CSP allows
+// nothing; the web client sets its own (see WEB CLIENT).
 app.use((req, res, next) => {
     res.setHeader('X-Content-Type-Options', 'nosniff');
     res.setHeader('X-Frame-Options', 'DENY');
     res.setHeader('X-XSS-Protection', '1; mode=block');
     res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    res.setHeader('Content-Security-Policy', "default-src 'none'; frame-ancestors 'none'");
+    res.setHeader('Permissions-Policy', 'camera=(self), microphone=(), geolocation=(), payment=(), usb=(), bluetooth=()');
+    if (serverConfig.client.hstsMaxAge > 0) {
+        // Browsers ignore this over plain HTTP, so it only takes effect behind TLS
+        res.setHeader('Strict-Transport-Security', `max-age=${serverConfig.client.hstsMaxAge}; includeSubDomains`);
+    }
     next();
 });
 
-// Input validation middleware
-function validateSyncData(req, res, next) {
-    const { transactions, recurring_bills, goals, budgets, reminders, accountId } = req.body;
+// ===== VAULT STORAGE =====
+
+// Doc type -> collection name used by the full-snapshot API
+const DOC_COLLECTIONS = {
+    transaction: 'transactions',
+    bill: 'recurring_bills',
+    goal: 'goals',
+    budget: 'budgets',
+    reminder: 'reminders'
+};
+
+// Tombstones carry no type, but doc ids are always `${type}_${uuid}`
+function docType(doc) {
+    return doc.type || String(doc._id).split('_')[0];
+}
+
+function revGeneration(rev) {
+    return parseInt(String(rev).split('-')[0], 10) || 0;
+}
+
+// A vault in memory is its metadata record; its docs are read and written per
+// doc. stats keeps the size and count of the stored docs, so quotas need not
+// read them all.
+function emptyVault() {
+    return { version: 3, seq: 0, settings: {}, account: null, lastSync: null, syncCount: 0, stats: { bytes: 0, docs: 0 } };
+}
+
+// Vaults written before delta sync kept one array per collection. Give each of
+// those docs a sequence number so it shows up in the first changes pull.
+// Returns the whole vault with its docs inline, as snapshots store it.
+function upgradeVault(data) {
+    if (data.version >= 2) return data;
+    
+    const vault = {
+        version: 2,
+        seq: 0,
+        docs: {},
+        settings: data.settings || {},
+        account: data.account || null,
+        lastSync: data.lastSync || null,
+        syncCount: data.syncCount || 0
+    };
+    for (const collection of Object.values(DOC_COLLECTIONS)) {
+        for (const doc of data[collection] || []) {
+            if (doc && doc._id) vault.docs[doc._id] = { seq: ++vault.seq, doc, conflicts: [], tombstones: [] };
+        }
+    }
+    return vault;
+}
+
+// What a stored doc entry adds to its vault's stats; tombstones take bytes
+// but don't count as docs
+function entryStats(entry) {
+    if (!entry) return { bytes: 0, docs: 0 };
+    return { bytes: Buffer.byteLength(JSON.stringify(entry)), docs: entry.doc._deleted ? 0 : 1 };
+}
+
+// Moves a vault that still holds its docs inline to per-doc storage
+async function splitVault(accountId, data) {
+    const { docs, ...meta } = upgradeVault(data);
+    const vault = { ...emptyVault(), ...meta, version: 3 };
+    for (const entry of Object.values(docs)) {
+        const { bytes, docs: count } = entryStats(entry);
+        vault.stats.bytes += bytes;
+        vault.stats.docs += count;
+    }
+    await storage.write(accountId, vault, docs);
+}
+
+async function splitStoredVaults() {
+    let split = 0;
+    for (const accountId of await storage.list()) {
+        const data = await storage.readMeta(accountId);
+        if (!data || data.version === 3) continue;
+        await splitVault(accountId, data);
+        split++;
+    }
+    if (split) logger.info('Moved vaults to per-doc storage', { vaults: split });
+}
+
+// Older vaults are split when the server starts, so this is always version 3
+async function readVault(accountId) {
+    return storage.readMeta(accountId);
+}
+
+async function writeVault(accountId, vault, entries = {}) {
+    await storage.write(accountId, vault, entries);
+}
+
+// Revision ids in a doc's history, newest first
+function revHistory(doc) {
+    if (!doc._revisions) return [doc._rev];
+    const { start, ids } = doc._revisions;
+    return ids.map((id, i) => `${start - i}-${id}`);
+}
+
+function entryLeaves(entry) {
+    return [entry.doc, ...(entry.conflicts || []), ...(entry.tombstones || [])];
+}
+
+// Same ordering PouchDB uses to pick a winner: live leaves first, then the
+// longest branch, then the higher revision hash
+function compareLeaves(a, b) {
+    if (!!a._deleted !== !!b._deleted) return a._deleted ? 1 : -1;
+    const generation = revGeneration(b._rev) - revGeneration(a._rev);
+    if (generation !== 0) return generation;
+    return a._rev < b._rev ? 1 : a._rev > b._rev ? -1 : 0;
+}
+
+// Stores each doc that extends or diverges from the server copy in entries,
+// the stored entries of the pushed doc ids, bumping the change sequence. A doc
+// that descends from none of the stored leaves opens a conflict branch that
+// clients resolve after decryption. Resolving a conflict deletes the losing
+// branch; those tombstones are kept so every device closes the same branches.
+// Returns stored and newly conflicted doc ids.
+function applyDocs(vault, entries, docs) {
+    const result = { accepted: [], conflicts: [] };
     
-    if (!accountId || typeof accountId !== 'string') {
-        return res.status(400).json({ error: 'Valid accountId required' });
+    for (const doc of docs) {
+        const entry = entries[doc._id];
+        if (!entry) {
+            entries[doc._id] = { seq: ++vault.seq, doc, conflicts: [], tombstones: [] };
+            result.accepted.push(doc._id);
+            continue;
+        }
+        
+        const leaves = entryLeaves(entry);
+        
+        // Already stored, or the server holds a newer revision of this branch
+        if (leaves.some(leaf => revHistory(leaf).includes(doc._rev))) continue;
+        
+        // Docs from older clients carry no _revisions; treat them as
+        // descending from any older leaf, as before conflict tracking
+        const history = doc._revisions
+            ? revHistory(doc)
+            : [doc._rev, ...leaves.filter(l => revGeneration(l._rev) < revGeneration(doc._rev)).map(l => l._rev)];
+        if (!doc._revisions && history.length === 1) continue;
+        
+        const remaining = leaves.filter(leaf => !history.includes(leaf._rev));
+        const [winner, ...others] = [doc, ...remaining].sort(compareLeaves);
+        
+        entry.doc = winner;
+        entry.conflicts = others.filter(leaf => !leaf._deleted);
+        entry.tombstones = others.filter(leaf => leaf._deleted);
+        entry.seq = ++vault.seq;
+        result.accepted.push(doc._id);
+        
+        if (remaining.length === leaves.length && entry.conflicts.length > 0) {
+            result.conflicts.push(doc._id);
+        }
     }
     
-    const dataTypes = { transactions, recurring_bills, goals, budgets, reminders };
-    for (const [type, data] of Object.entries(dataTypes)) {
-        if (data !== undefined && !Array.isArray(data)) {
-            return res.status(400).json({ error: `${type} must be an array` });
+    return result;
+}
+
+// Applies pushed docs to their stored entries and brings the vault's stats up
+// to date. Only the pushed ids are read; changed holds the entries to write.
+async function applyPushedDocs(accountId, vault, docs) {
+    const entries = await storage.readDocs(accountId, [...new Set(docs.map(doc => doc._id))]);
+    const before = Object.fromEntries(Object.entries(entries).map(([id, entry]) => [id, entryStats(entry)]));
+    const { accepted, conflicts } = applyDocs(vault, entries, docs);
+    
+    const changed = {};
+    for (const id of new Set(accepted)) {
+        const was = before[id] || entryStats(null);
+        const now = entryStats(entries[id]);
+        vault.stats.bytes += now.bytes - was.bytes;
+        vault.stats.docs += now.docs - was.docs;
+        changed[id] = entries[id];
+    }
+    return { accepted, conflicts, changed };
+}
+
+// The vault version is its change sequence; clients send it back in If-Match
+function vaultEtag(vault) {
+    return `"${vault ? vault.seq : 0}"`;
+}
+
+// Writes without If-Match are accepted as before, for older clients
+function isStaleWrite(req, vault) {
+    const expected = req.headers['if-match'];
+    return expected !== undefined && expected !== '*' && expected !== vaultEtag(vault);
+}
+
+// Serializes read-modify-write cycles per account
+const accountLocks = new Map();
+
+function withAccountLock(accountId, fn) {
+    const previous = accountLocks.get(accountId) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const tail = run.catch(() => {});
+    accountLocks.set(accountId, tail);
+    tail.then(() => {
+        if (accountLocks.get(accountId) === tail) accountLocks.delete(accountId);
+    });
+    return run;
+}
+
+function vaultCollections(entries) {
+    const collections = Object.fromEntries(Object.values(DOC_COLLECTIONS).map(c => [c, []]));
+    for (const { doc } of Object.values(entries)) {
+        const collection = DOC_COLLECTIONS[docType(doc)];
+        if (collection) collections[collection].push(doc);
+    }
+    return collections;
+}
+
+// ===== VAULT SNAPSHOTS =====
+
+// Copies of the vault taken right before sync writes change it, so a buggy
+// client or a mistaken bulk delete can be rolled back. At most one snapshot per
+// interval; older ones are pruned past the keep count or maxAge. Snapshots
+// count toward the vault's quota but only fill the room below quota.warnAt
+// that live data leaves, oldest dropped first, so history never gets a write
+// refused. usage is the vault's live usage after the write.
+async function snapshotVault(accountId, vault, usage) {
+    const { keep, interval, maxAge } = serverConfig.snapshots;
+    const now = Date.now();
+    const snapshots = await storage.listSnapshots(accountId);
+    const room = usage.maxVaultSize * serverConfig.quota.warnAt - usage.bytes;
+
+    const due = !snapshots.length || now - Date.parse(snapshots[0].createdAt) >= interval;
+    if (keep && vault.stats.docs && due) {
+        const { auth, claim, stats, ...meta } = vault;
+        const copy = { ...meta, docs: await storage.readDocs(accountId) };
+        const size = Buffer.byteLength(JSON.stringify(copy));
+        if (size <= room) {
+            await storage.writeSnapshot(accountId, String(now), copy);
+            snapshots.unshift({ id: String(now), size, createdAt: new Date(now).toISOString() });
+        }
+    }
+
+    let kept = 0;
+    for (const [i, snapshot] of snapshots.entries()) {
+        kept += snapshot.size;
+        if (i >= keep || now - Date.parse(snapshot.createdAt) > maxAge || kept > room) {
+            await storage.deleteSnapshot(accountId, snapshot.id);
+        }
+    }
+}
+
+// ===== QUOTAS =====
+
+// Limits apply to the stored vault, not to single requests, so many small
+// syncs cannot grow an account past them either. quota.accounts overrides
+// maxVaultSize and maxDocs for individual account ids.
+function accountQuota(accountId) {
+    const { maxVaultSize, maxDocs, accounts } = serverConfig.quota;
+    return { maxVaultSize, maxDocs, ...(accounts || {})[accountId] };
+}
+
+// docs counts live docs only: deleting one frees its slot even though its
+// tombstone stays. Pass the vault's snapshots to include their size in bytes.
+function vaultUsage(accountId, vault, snapshots = []) {
+    const { maxVaultSize, maxDocs } = accountQuota(accountId);
+    const snapshotBytes = snapshots.reduce((sum, snapshot) => sum + snapshot.size, 0);
+    const bytes = (vault ? vault.stats.bytes + Buffer.byteLength(JSON.stringify(vault)) : 0) + snapshotBytes;
+    const docs = vault ? vault.stats.docs : 0;
+    const ratio = Math.max(bytes / maxVaultSize, docs / maxDocs);
+    return {
+        bytes,
+        snapshotBytes,
+        docs,
+        maxVaultSize,
+        maxDocs,
+        ratio: Math.round(ratio * 1000) / 1000,
+        nearLimit: ratio >= serverConfig.quota.warnAt,
+        exceeded: bytes > maxVaultSize || docs > maxDocs
+    };
+}
+
+// Usage including the vault's snapshots, as reported to clients
+async function storedUsage(accountId, vault) {
+    return vaultUsage(accountId, vault, vault ? await storage.listSnapshots(accountId) : []);
+}
+
+// Writes are checked against live usage alone, since snapshots give way to
+// live data. Over-quota vaults may still shrink, so deleting data is always
+// possible.
+function exceedsQuota(before, after) {
+    return after.exceeded && (after.bytes > before.bytes || after.docs > before.docs);
+}
+
+// ===== ADMIN =====
+
+// Admin routes take the secret whose scrypt hash is in server-config.json (see
+// admin-secret.js). Every admin request, including failed ones, is appended to
+// the audit log. Admin responses only ever carry metadata about encrypted vaults.
+const ADMIN_AUDIT_FILE = path.resolve(__dirname, serverConfig.admin.auditLog);
+
+// scrypt is deliberately slow, so the digest of the last secret that verified
+// is kept to spare frequent callers such as a metrics scraper
+let verifiedAdminSecret = null;
+
+async function isAdminSecret(secret) {
+    const digest = crypto.createHash('sha256').update(secret).digest();
+    if (verifiedAdminSecret && crypto.timingSafeEqual(digest, verifiedAdminSecret)) return true;
+    if (!await verifySecret(secret, serverConfig.admin.secretHash)) return false;
+    verifiedAdminSecret = digest;
+    return true;
+}
+
+// auditSuccess: false only records rejected requests, for routes polled by machines
+function requireAdmin(action, { auditSuccess = true } = {}) {
+    return async (req, res, next) => {
+        res.locals.audit = {};
+        res.on('finish', () => {
+            if (!auditSuccess && res.statusCode < 400) return;
+            const entry = {
+                timestamp: new Date().toISOString(),
+                action,
+                status: res.statusCode,
+                ip: logger.hash(req.ip),
+                userAgent: req.headers['user-agent'] || null,
+                ...res.locals.audit
+            };
+            fs.promises.appendFile(ADMIN_AUDIT_FILE, JSON.stringify(entry) + '\n')
+                .catch(error => req.log.error('Error writing admin audit log', { error }));
+        });
+        
+        if (!serverConfig.admin.secretHash) {
+            return res.status(503).json({ error: 'Admin API is not configured' });
         }
+        
+        const secret = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        if (!secret || !await isAdminSecret(secret)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        next();
+    };
+}
+
+async function describeAccount(accountId) {
+    const [vault, stat, snapshots] = await Promise.all([
+        readVault(accountId),
+        storage.stat(accountId),
+        storage.listSnapshots(accountId)
+    ]);
+    return {
+        accountId,
+        size: stat ? stat.size : 0,
+        docs: vault ? vault.stats.docs : 0,
+        syncCount: vault ? vault.syncCount || 0 : 0,
+        quotaUsed: vaultUsage(accountId, vault, snapshots).ratio,
+        lastSync: (vault && vault.lastSync) || null,
+        lastActive: (vault && vault.lastSync) || (stat && stat.updatedAt) || null,
+        registered: !!(vault && vault.auth),
+        snapshots: snapshots.length,
+        snapshotSize: snapshots.reduce((sum, snapshot) => sum + snapshot.size, 0)
+    };
+}
+
+function isInactiveSince(account, cutoff) {
+    return !account.lastActive || Date.parse(account.lastActive) < cutoff;
+}
+
+// ===== VAULT AUTH =====
+
+// Clients derive an Ed25519 key pair from the passphrase through an HKDF branch
+// that is separate from the encryption key, register the public key, then
+// prove ownership by signing single-use challenges. The server only ever holds
+// the public key, which can check signatures but not make them.
+const CHALLENGE_TTL = 60 * 1000;
+const CLAIM_TTL = 7 * 24 * 60 * 60 * 1000;
+const authChallenges = new Map(); // challenge -> { accountId, expiresAt }
+const sessions = new Map(); // token -> { accountId, expiresAt, auth? }
+
+// auth is set for a vault registered by this session but not written yet
+function createSession(accountId, auth = null) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + serverConfig.sessionTtl;
+    sessions.set(token, { accountId, expiresAt, ...(auth && { auth }) });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+function revokeSessions(accountId) {
+    for (const [token, session] of sessions) {
+        if (session.accountId === accountId) sessions.delete(token);
+    }
+    closeEventStreams(accountId);
+}
+
+function verifyChallengeSignature(publicKey, challenge, signature) {
+    try {
+        const key = crypto.createPublicKey({
+            key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey, 'hex').toString('base64url') },
+            format: 'jwk'
+        });
+        return crypto.verify(null, Buffer.from(challenge), key, Buffer.from(signature, 'hex'));
+    } catch {
+        return false;
+    }
+}
+
+// Vaults registered before public keys stored the HMAC key itself. It still
+// proves ownership once, when the client moves the vault to its key pair.
+function verifyLegacySignature(authKey, challenge, signature) {
+    if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) return false;
+    const expected = crypto.createHmac('sha256', Buffer.from(authKey, 'hex')).update(challenge).digest();
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+}
+
+function hashClaimCode(code) {
+    return crypto.createHash('sha256').update(code).digest();
+}
+
+// Vaults stored before vault auth existed have data but no key. Anyone could
+// register one first, so only a claim code issued by the admin API does.
+function isValidClaim(vault, code) {
+    const claim = vault.claim;
+    if (!claim || !code || Date.parse(claim.expiresAt) < Date.now()) return false;
+    return crypto.timingSafeEqual(hashClaimCode(code), Buffer.from(claim.hash, 'hex'));
+}
+
+// A session from registering a new vault holds its key until the first write
+// stores it, so ids that never get data leave nothing behind. Whichever
+// registration writes first keeps the id; the others' sessions stop working.
+function sessionOwnsVault(session, vault) {
+    if (!session.auth) return !!vault;
+    return !vault || (!!vault.auth && vault.auth.publicKey === session.auth.publicKey);
+}
+
+// Requires a session token for the accountId named in the route or body
+async function requireVaultAuth(req, res, next) {
+    const accountId = req.params.accountId || req.body?.accountId;
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const session = sessions.get(token);
+    
+    if (!session || session.expiresAt < Date.now() || session.accountId !== accountId ||
+        (session.auth && !sessionOwnsVault(session, await readVault(accountId)))) {
+        return res.status(401).json({ error: 'Vault authentication required' });
     }
     
+    req.vaultSession = session;
     next();
 }
 
+setInterval(() => {
+    const now = Date.now();
+    for (const [token, session] of sessions) {
+        if (session.expiresAt < now) sessions.delete(token);
+    }
+    for (const [challenge, pending] of authChallenges) {
+        if (pending.expiresAt < now) authChallenges.delete(challenge);
+    }
+}, 60 * 1000).unref();
+
 // ===== AI AGENT SYSTEM =====
 
 const AGENT_SYSTEM_PROMPT = `You are Guardfin AI, a helpful and proactive financial assistant. You help users manage their finances through conversation.
@@ -149,21 +798,27 @@ CAPABILITIES:
 2. SET_BUDGET - Set category budget (e.g., "Set food budget to $500")
 3. CREATE_GOAL - Create savings goal (e.g., "Create goal to save $1000 for vacation")
 4. ADD_REMINDER - Set bill reminder (e.g., "Remind me about rent on the 1st")
-5. ANALYZE - Analyze spending patterns
-6. PREDICT - Predict future spending
-7. SUGGEST - Provide savings suggestions
-8. ANSWER - Answer financial questions
+5. DELETE_TRANSACTION - Delete a recorded transaction (e.g., "Delete yesterday's Uber")
+6. UPDATE_TRANSACTION - Change a recorded transaction (e.g., "Change the coffee on Monday to $6")
+7. CONTRIBUTE_GOAL - Add money to a savings goal (e.g., "Add $200 to my vacation goal")
+8. QUERY_SPENDING - Total of past transactions (e.g., "How much did I spend on dining in March?")
+9. REQUEST_DATA - Ask the app for one number you need to answer (see TOOLS)
+10. ANALYZE - Analyze spending patterns
+11. PREDICT - Predict future spending
+12. SUGGEST - Provide savings suggestions
+13. ANSWER - Answer financial questions
 
 RESPONSE FORMAT (JSON):
 {
-  "intent": "ADD_TRANSACTION|SET_BUDGET|CREATE_GOAL|ADD_REMINDER|ANALYZE|PREDICT|SUGGEST|ANSWER",
+  "intent": "ADD_TRANSACTION|SET_BUDGET|CREATE_GOAL|ADD_REMINDER|DELETE_TRANSACTION|UPDATE_TRANSACTION|CONTRIBUTE_GOAL|QUERY_SPENDING|REQUEST_DATA|ANALYZE|PREDICT|SUGGEST|ANSWER",
   "confidence": 0.0-1.0,
   "action": {
     // For ADD_TRANSACTION:
     "type": "expense|income",
     "amount": number,
     "description": "string",
-    "category": "Food & Dining|Transportation|Shopping|Entertainment|Bills & Utilities|Healthcare|Education|Travel|Income|Other"
+    "category": "Food & Dining|Transportation|Shopping|Entertainment|Bills & Utilities|Healthcare|Education|Travel|Income|Other",
+    "date": "YYYY-MM-DD when the user names a day (read relative days from TODAY)" or null
     
     // For SET_BUDGET:
     "category": "string",
@@ -180,18 +835,54 @@ RESPONSE FORMAT (JSON):
     "amount": number or null,
     "dueDay": 1-31,
     "recurring": true|false
+    
+    // For DELETE_TRANSACTION:
+    "match": { "description": "string" or null, "category": "string" or null, "amount": number or null, "when": "the user's date words, e.g. yesterday, last friday, march" or null }
+    
+    // For UPDATE_TRANSACTION:
+    "match": { ...as for DELETE_TRANSACTION },
+    "changes": { only the fields to change: "amount", "description", "category", "type" }
+    
+    // For CONTRIBUTE_GOAL:
+    "goal": "goal name as the user said it",
+    "amount": number
+    
+    // For QUERY_SPENDING:
+    "type": "expense|income",
+    "category": "string" or null,
+    "description": "merchant or item" or null,
+    "when": "the user's date words" or null
   },
+  "actions": [{ "intent": "...", "action": { ... } }],
+  "tool": { "name": "...", "args": { ... }, "reason": "why you need it, shown to the user" },
   "message": "Friendly response to user",
   "requiresConfirmation": true|false
 }
 
+TOOLS (intent REQUEST_DATA, one per reply): the app computes the number on the
+user's device if the user allows it, and sends the question back with the result
+under DATA YOU ASKED FOR. Dates are YYYY-MM-DD, from and to inclusive; use TODAY
+for relative dates. category and merchant may be null for all.
+- sum_transactions { "type": "expense|income", "category", "merchant", "from", "to" } -> total amount
+- count_transactions { "type": "expense|income" or null, "category", "merchant", "from", "to" } -> number of transactions
+- average_transaction { "type": "expense|income", "category", "merchant", "from", "to" } -> average amount
+
+When the user asks for several things at once ("add $12 lunch and $40 gas"),
+list every one in "actions", each with its own intent and action fields as above,
+and set "intent" and "action" to the first of them.
+
 RULES:
 - Always be helpful and encouraging
 - If unsure about intent, ask for clarification (intent: "ANSWER")
 - For financial actions, set requiresConfirmation: true
 - Keep responses concise but friendly
 - Never ask for sensitive personal information
-- Focus on actionable advice`;
+- Focus on actionable advice
+- You never see the user's transactions. For DELETE_TRANSACTION, UPDATE_TRANSACTION and QUERY_SPENDING only extract what the user said; the app finds the transactions and does the sums
+- QUERY_SPENDING does not need confirmation; do not guess the total in "message"
+- Ask for data only when FINANCIAL CONTEXT and DATA YOU ASKED FOR cannot answer the question; at most ${TOOL_CALLS_MAX} requests per question. If the user declined one, answer as best you can without it
+- Use RECENT CONVERSATION to resolve "it", "that" and other follow-ups
+- If the user corrects or adds to the PENDING ACTIONS ("make that $60", "put it under Food"), reply with the full corrected list in "actions" and requiresConfirmation: true`;
 
 const INSIGHTS_PROMPT = `Analyze this financial data and generate 3-5 actionable insights.
 
@@ -234,78 +925,163 @@ Respond in JSON:
   "recommendation": "Brief advice"
 }`;
 
-// Local intent parser (works without AI)
-function parseIntentLocally(message) {
-    const lower = message.toLowerCase().trim();
-    
-    // Category keywords for auto-detection
-    const categoryKeywords = {
-        'Food & Dining': ['grocery', 'groceries', 'food', 'restaurant', 'cafe', 'coffee', 'lunch', 'dinner', 'breakfast', 'pizza', 'burger', 'takeout', 'uber eats', 'doordash', 'walmart', 'costco', 'target', 'eat'],
-        'Transportation': ['gas', 'fuel', 'uber', 'lyft', 'taxi', 'bus', 'metro', 'train', 'parking', 'car', 'vehicle'],
-        'Shopping': ['amazon', 'shopping', 'clothes', 'shoes', 'electronics', 'store', 'mall', 'buy', 'bought'],
-        'Entertainment': ['movie', 'netflix', 'spotify', 'game', 'concert', 'streaming', 'hulu', 'disney', 'entertainment'],
-        'Bills & Utilities': ['electric', 'water', 'internet', 'phone', 'utility', 'rent', 'mortgage', 'insurance', 'bill'],
-        'Healthcare': ['doctor', 'hospital', 'pharmacy', 'medicine', 'medical', 'dentist', 'health'],
-        'Income': ['salary', 'paycheck', 'income', 'bonus', 'refund', 'deposit', 'received', 'earned', 'got paid']
-    };
+// Category keywords for auto-detection
+const CATEGORY_KEYWORDS = {
+    'Food & Dining': ['grocery', 'groceries', 'food', 'restaurant', 'cafe', 'coffee', 'lunch', 'dinner', 'breakfast', 'pizza', 'burger', 'takeout', 'uber eats', 'doordash', 'walmart', 'costco', 'target', 'eat'],
+    'Transportation': ['gas', 'fuel', 'uber', 'lyft', 'taxi', 'bus', 'metro', 'train', 'parking', 'car', 'vehicle'],
+    'Shopping': ['amazon', 'shopping', 'clothes', 'shoes', 'electronics', 'store', 'mall', 'buy', 'bought'],
+    'Entertainment': ['movie', 'netflix', 'spotify', 'game', 'concert', 'streaming', 'hulu', 'disney', 'entertainment'],
+    'Bills & Utilities': ['electric', 'water', 'internet', 'phone', 'utility', 'rent', 'mortgage', 'insurance', 'bill'],
+    'Healthcare': ['doctor', 'hospital', 'pharmacy', 'medicine', 'medical', 'dentist', 'health'],
+    'Income': ['salary', 'paycheck', 'income', 'bonus', 'refund', 'deposit', 'received', 'earned', 'got paid']
+};
 
-    function detectCategory(text) {
-        const lowerText = text.toLowerCase();
-        for (const [category, keywords] of Object.entries(categoryKeywords)) {
-            if (keywords.some(k => lowerText.includes(k))) {
-                return category;
-            }
+// Short names people use for budget categories
+const CATEGORY_NAMES = {
+    'food': 'Food & Dining', 'dining': 'Food & Dining', 'food and dining': 'Food & Dining', 'food & dining': 'Food & Dining', 'groceries': 'Food & Dining', 'eating': 'Food & Dining',
+    'transport': 'Transportation', 'transportation': 'Transportation', 'gas': 'Transportation', 'car': 'Transportation',
+    'shopping': 'Shopping', 'clothes': 'Shopping',
+    'entertainment': 'Entertainment', 'fun': 'Entertainment',
+    'bills': 'Bills & Utilities', 'utilities': 'Bills & Utilities', 'bills and utilities': 'Bills & Utilities', 'bills & utilities': 'Bills & Utilities',
+    'health': 'Healthcare', 'medical': 'Healthcare'
+};
+
+function detectCategory(text) {
+    const lowerText = text.toLowerCase();
+    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+        if (keywords.some(k => lowerText.includes(k))) {
+            return category;
         }
-        return 'Other';
     }
+    return 'Other';
+}
 
-    // Pattern: "add $50 for groceries" or "spent $50 on groceries" or "$50 groceries"
-    const addTransactionPatterns = [
-        /(?:add|spent|paid|bought|got|received|earned)\s+\$?(\d+(?:\.\d{2})?)\s+(?:for|on|at)?\s*(.+)/i,
-        /\$(\d+(?:\.\d{2})?)\s+(?:for|on|at)?\s*(.+)/i,
-        /(.+?)\s+\$(\d+(?:\.\d{2})?)/i
-    ];
+// The category a user's word for one stands for ("coffee" -> Food & Dining),
+// or null when none fits
+function knownCategory(name) {
+    const lower = name.toLowerCase().trim();
+    const category = CATEGORY_NAMES[lower] || CATEGORIES.find(known => known.toLowerCase() === lower) || detectCategory(lower);
+    return category === 'Other' && lower !== 'other' ? null : category;
+}
 
-    for (const pattern of addTransactionPatterns) {
-        const match = lower.match(pattern);
-        if (match) {
-            let amount, description;
-            if (pattern === addTransactionPatterns[2]) {
-                description = match[1].trim();
-                amount = parseFloat(match[2]);
-            } else {
-                amount = parseFloat(match[1]);
-                description = match[2]?.trim() || 'Transaction';
-            }
-            
-            if (amount > 0) {
-                const isIncome = /received|earned|got paid|salary|income|bonus|refund|deposit/i.test(message);
-                const category = detectCategory(description);
-                const type = isIncome || category === 'Income' ? 'income' : 'expense';
-                
-                // Capitalize description
-                description = description.replace(/\b\w/g, l => l.toUpperCase());
-                
-                return {
-                    intent: 'ADD_TRANSACTION',
-                    confidence: 0.9,
-                    action: {
-                        type,
-                        amount,
-                        description,
-                        category: type === 'income' ? 'Income' : category
-                    },
-                    message: `I'll add a ${type}: $${amount.toFixed(2)} for "${description}" (${type === 'income' ? 'Income' : category}). Confirm?`,
-                    requiresConfirmation: true
-                };
-            }
-        }
+// "$1,200" -> "$1200", so amounts are read whole
+const withoutThousandsSeparators = text => text.replace(/(\d),(?=\d{3}\b)/g, '$1');
+
+const REFERENCE_FILLER = /\b(?:the|my|a|an|from|on|in|at|for|of|transaction|transactions|payment|purchase|charge|expense|entry)\b/g;
+
+// Reads which transaction(s) a message points at: "yesterday's Uber" ->
+// { description: 'Uber', category: null, amount: null, when: 'yesterday' }.
+// when keeps the user's date words; the client reads them in its own time
+// zone with the same date parser. Returns null when nothing identifies one
+// ("it", "that").
+function parseTransactionReference(text) {
+    let rest = text.toLowerCase();
+    let when = null;
+    const date = extractRange(rest);
+    if (date) {
+        when = date.phrase.replace(/\s+/g, ' ');
+        rest = date.rest;
+    }
+
+    let amount = null;
+    const money = rest.match(/\$(\d+(?:\.\d{1,2})?)/);
+    if (money) {
+        amount = parseFloat(money[1]);
+        rest = rest.replace(money[0], ' ');
+    }
+
+    const term = rest.replace(/'s\b/g, '').replace(REFERENCE_FILLER, ' ').replace(/[^a-z0-9&' ]/g, ' ').replace(/\s+/g, ' ').trim();
+    if (/^(?:it|that|this|them|those|one|everything|all)?$/.test(term) && !when && !amount) return null;
+
+    const category = CATEGORY_NAMES[term] || CATEGORIES.find(name => name.toLowerCase() === term) || null;
+    const description = !category && term && !/^(?:it|that|this|one)$/.test(term)
+        ? term.replace(/\b\w/g, l => l.toUpperCase())
+        : null;
+    return { description, category, amount, when };
+}
+
+// "the $14.00 Uber transaction from yesterday", for confirmation messages
+function describeReference({ description, category, amount, when }) {
+    const what = [amount && `$${amount.toFixed(2)}`, description && `"${description}"`, category].filter(Boolean).join(' ');
+    return `the ${what ? `${what} ` : ''}transaction${when ? ` from ${when}` : ''}`;
+}
+
+// Local intent parser (works without AI). now is the user's current day, for
+// reading dates such as "yesterday".
+function parseIntentLocally(message, now = new Date()) {
+    const lower = withoutThousandsSeparators(message.toLowerCase().trim());
+
+    // Pattern: "how much did I spend on dining in March?". The client adds it
+    // up from its own data; only the question's parameters come back.
+    const query = lower.match(/^(?:how much|what)\s+(?:did|have|do)\s+i\s+(spend|spent|pay|paid|earn|earned|make|made|get|got)\b\s*(.*?)[?.!]*$/);
+    if (query) {
+        const type = /^(?:earn|make|get)|^(?:earned|made|got)$/.test(query[1]) ? 'income' : 'expense';
+        const { description = null, category = null, when = null } = parseTransactionReference(query[2]) || {};
+        return {
+            intent: 'QUERY_SPENDING',
+            confidence: 0.9,
+            action: { type, category, description, when },
+            message: 'Let me add that up on your device.',
+            requiresConfirmation: false
+        };
+    }
+
+    // Pattern: "add $200 to my vacation goal"
+    const contribution = lower.match(/^(?:add|put|contribute|move|transfer|save)\s+\$?(\d+(?:\.\d{1,2})?)\s+(?:to|into|toward|towards|for)\s+(?:my\s+|the\s+)?(.+?)\s+(?:goal|fund)$/);
+    if (contribution && parseFloat(contribution[1]) > 0) {
+        const amount = parseFloat(contribution[1]);
+        const goal = contribution[2].trim().replace(/\b\w/g, l => l.toUpperCase());
+        return {
+            intent: 'CONTRIBUTE_GOAL',
+            confidence: 0.9,
+            action: { goal, amount },
+            message: `I'll add $${amount.toFixed(2)} to your "${goal}" goal. Confirm?`,
+            requiresConfirmation: true
+        };
+    }
+
+    // Pattern: "delete yesterday's Uber" or "remove the $14 coffee from Monday"
+    const deletion = lower.match(/^(?:delete|remove|undo|erase)\s+(.+?)[.!]*$/);
+    const toDelete = deletion && !/\b(?:budget|goal|reminder)s?\b/.test(deletion[1]) && parseTransactionReference(deletion[1]);
+    if (toDelete) {
+        return {
+            intent: 'DELETE_TRANSACTION',
+            confidence: 0.85,
+            action: { match: toDelete },
+            message: `I'll delete ${describeReference(toDelete)}. Confirm?`,
+            requiresConfirmation: true
+        };
+    }
+
+    // Pattern: "change the coffee on Monday to $6" or "change the Uber to Travel"
+    const edit = lower.match(/^(?:change|update|edit|fix|correct)\s+(.+?)\s+to\s+(.+?)[.!]*$/);
+    const toEdit = edit && !/\b(?:budget|goal|reminder)s?\b/.test(edit[1]) && parseTransactionReference(edit[1]);
+    if (toEdit) {
+        const value = edit[2].trim();
+        const money = value.match(/^\$?(\d+(?:\.\d{1,2})?)$/);
+        const category = CATEGORY_NAMES[value] || CATEGORIES.find(name => name.toLowerCase() === value);
+        let changes;
+        if (money) changes = { amount: parseFloat(money[1]) };
+        else if (/^(?:an?\s+)?income$/.test(value)) changes = { type: 'income', category: 'Income' };
+        else if (/^(?:an?\s+)?expense$/.test(value)) changes = { type: 'expense' };
+        else if (category) changes = { category };
+        else changes = { description: value.replace(/^["']|["']$/g, '').replace(/\b\w/g, l => l.toUpperCase()) };
+        if (changes.amount === 0) return null;
+
+        const change = Object.entries(changes).map(([field, to]) => `${field} to ${field === 'amount' ? `$${to.toFixed(2)}` : `"${to}"`}`).join(', ');
+        return {
+            intent: 'UPDATE_TRANSACTION',
+            confidence: 0.85,
+            action: { match: toEdit, changes },
+            message: `I'll change the ${change} on ${describeReference(toEdit)}. Confirm?`,
+            requiresConfirmation: true
+        };
     }
 
     // Pattern: "set budget for food to $500" or "food budget $500"
     const budgetPatterns = [
-        /(?:set|create)?\s*(?:a\s+)?budget\s+(?:for\s+)?(.+?)\s+(?:to\s+)?\$?(\d+)/i,
-        /(.+?)\s+budget\s+(?:to\s+)?\$?(\d+)/i,
+        /(?:set|create)?\s*(?:a\s+)?budget\s+for\s+(.+?)\s+(?:to\s+)?\$?(\d+)/i,
+        /(?:(?:set|create|make)\s+)?(?:(?:my|the|a)\s+)?(.+?)\s+budget\s+(?:to\s+)?\$?(\d+)/i,
         /\$(\d+)\s+budget\s+(?:for\s+)?(.+)/i
     ];
 
@@ -321,17 +1097,9 @@ function parseIntentLocally(message) {
                 amount = parseFloat(match[2]);
             }
             
-            // Map to proper category name
-            const categoryMap = {
-                'food': 'Food & Dining', 'dining': 'Food & Dining', 'groceries': 'Food & Dining', 'eating': 'Food & Dining',
-                'transport': 'Transportation', 'transportation': 'Transportation', 'gas': 'Transportation', 'car': 'Transportation',
-                'shopping': 'Shopping', 'clothes': 'Shopping',
-                'entertainment': 'Entertainment', 'fun': 'Entertainment',
-                'bills': 'Bills & Utilities', 'utilities': 'Bills & Utilities',
-                'health': 'Healthcare', 'medical': 'Healthcare'
-            };
-            
-            const mappedCategory = categoryMap[category.toLowerCase()] || category.replace(/\b\w/g, l => l.toUpperCase());
+            // Map to proper category name; one that fits none fails the
+            // reply schema and goes to the model
+            const mappedCategory = knownCategory(category) || category.replace(/\b\w/g, l => l.toUpperCase());
             
             if (amount > 0) {
                 return {
@@ -415,33 +1183,323 @@ function parseIntentLocally(message) {
         }
     }
 
-    return null; // No local match found
-}
-
-// Parse AI intent from user message
-async function parseIntent(message, financialContext) {
-    // First, try local parsing (works without AI)
-    const localResult = parseIntentLocally(message);
-    if (localResult) {
-        console.log('Handled locally:', localResult.intent);
-        return localResult;
-    }
+    // "coffee $4 yesterday", "rent $1200 on the 1st": the date comes out first
+    const dated = extractDate(lower, now);
+    const entry = dated ? dated.rest : lower;
 
-    // If no AI configured, provide helpful response
-    if (!aiModel) {
+    // Pattern (tried last, as it matches any amount): "add $50 for groceries" or "spent $50 on groceries" or "$50 groceries"
+    const addTransactionPatterns = [
+        /(?:add|spent|paid|bought|got|received|earned)\s+\$?(\d+(?:\.\d{2})?)\s+(?:for|on|at)?\s*(.+)/i,
+        /\$(\d+(?:\.\d{2})?)\s+(?:for|on|at)?\s*(.+)/i,
+        /(.+?)\s+\$(\d+(?:\.\d{2})?)/i
+    ];
+
+    for (const pattern of addTransactionPatterns) {
+        const match = entry.match(pattern);
+        if (match) {
+            let amount, description;
+            if (pattern === addTransactionPatterns[2]) {
+                description = match[1].trim();
+                amount = parseFloat(match[2]);
+            } else {
+                amount = parseFloat(match[1]);
+                description = match[2]?.trim() || 'Transaction';
+            }
+            
+            if (amount > 0) {
+                const isIncome = /received|earned|got paid|salary|income|bonus|refund|deposit/i.test(message);
+                const category = detectCategory(description);
+                const type = isIncome || category === 'Income' ? 'income' : 'expense';
+                
+                // Capitalize description
+                description = description.replace(/\b\w/g, l => l.toUpperCase());
+                const date = dated ? toISODate(dated.date) : null;
+                
+                return {
+                    intent: 'ADD_TRANSACTION',
+                    confidence: 0.9,
+                    action: {
+                        type,
+                        amount,
+                        description,
+                        category: type === 'income' ? 'Income' : category,
+                        date
+                    },
+                    message: `I'll add a ${type}: $${amount.toFixed(2)} for "${description}" (${type === 'income' ? 'Income' : category})${date ? ` on ${date}` : ''}. Confirm?`,
+                    requiresConfirmation: true
+                };
+            }
+        }
+    }
+
+    return null; // No local match found
+}
+
+// Splits "add $12 lunch and $40 gas, then set transport budget to $200" into
+// one command per clause. A clause without a number is not a command on its
+// own ("mac and cheese", "rent and insurance on the 1st"), so it stays joined
+// to its neighbours. A leading "also" or "then" only links to the last turn.
+// Commas in "$1,200" and "March 14, 2026" don't split.
+function splitCommands(message) {
+    const parts = message.replace(/^\s*(?:and\s+)?(?:also|then|plus)\b/i, '').split(/(\s*(?:(?:;|,(?!\d|\s*\d{4}\b))\s*(?:(?:and\s+)?then\b|and\b|also\b|plus\b)?|\b(?:and\s+then|and\s+also|then|and|also|plus)\b)\s*)/i);
+    const commands = [];
+    let current = '';
+    let separator = '';
+    for (let i = 0; i < parts.length; i += 2) {
+        current += parts[i];
+        if (/\d/.test(parts[i]) || !commands.length && i + 2 >= parts.length) {
+            commands.push(current.trim());
+            current = '';
+            separator = parts[i + 1] || '';
+        } else if (i + 2 < parts.length) {
+            current += parts[i + 1];
+        } else {
+            commands[commands.length - 1] += separator + current;
+        }
+    }
+    return commands.filter(Boolean);
+}
+
+// Runs the local parser on each command of a message. Commands it cannot
+// read come back in unparsed instead of being dropped.
+function parseCommandsLocally(message, now) {
+    const actions = [];
+    const unparsed = [];
+    const commands = splitCommands(message);
+    for (const command of commands) {
+        const result = parseIntentLocally(command, now);
+        // A question is answered on its own, not queued with actions
+        if (result && (ACTION_INTENTS.includes(result.intent) || commands.length === 1)) actions.push(result);
+        else unparsed.push(command);
+    }
+    return { actions, unparsed };
+}
+
+// One confirmation for several actions; intent and action mirror the first
+function proposeActions(actions) {
+    if (actions.length === 1) {
+        const [{ intent, action, message }] = actions;
+        return { intent, confidence: 0.9, action, actions: [{ intent, action }], message, requiresConfirmation: true };
+    }
+    const steps = actions.map(({ message }) => {
+        const step = message.replace(/^I'll /, '').replace(/\.? Confirm\?$/, '');
+        return `• ${step.charAt(0).toUpperCase()}${step.slice(1)}`;
+    });
+    return {
+        intent: actions[0].intent,
+        confidence: 0.9,
+        action: actions[0].action,
+        actions: actions.map(({ intent, action }) => ({ intent, action })),
+        message: `I'll do these ${actions.length} things:\n${steps.join('\n')}\nConfirm?`,
+        requiresConfirmation: true
+    };
+}
+
+// Every reply lists its proposed actions in actions, even a single one
+function withActions(result) {
+    if (result.actions?.length) return result;
+    const actions = result.action && ACTION_INTENTS.includes(result.intent)
+        ? [{ intent: result.intent, action: result.action }]
+        : [];
+    return { ...result, actions };
+}
+
+// Leading words that don't change what a correction says: "no, 45"
+const INTERJECTIONS = '(?:(?:no|oh|oops|sorry|actually|rather)[,!.]?\\s+)*';
+
+// A correction that points at the action on the table rather than naming one:
+// "make that $300", "change it to weekly", "it was income", "$60 instead"
+const CORRECTION = new RegExp(`^\\s*${INTERJECTIONS}(?:(?:make|change|put|move|switch)\\s+(?:that|it|this)\\b|(?:it|that|this)(?:\\s+(?:was|is|should\\s+be)\\b|'s\\b)|(?:i\\s+)?meant\\b)|\\binstead\\b`, 'i');
+
+// A bare amount, category or period with no verb or target of its own: "$60",
+// "actually 45", "under food", "weekly"
+const CORRECTION_FRAGMENT = new RegExp(`^\\s*${INTERJECTIONS}(?:\\$?\\d+(?:\\.\\d{1,2})?|weekly|monthly|income|(?:to|in|into|under|as)\\s+(?:the\\s+)?[a-z& ]+?)\\s*(?:please)?[.!]?\\s*$`, 'i');
+
+// Resolves corrections to a lone unconfirmed action without the model: "make
+// that $60 instead", "put it under food", "it was income", "weekly". Returns
+// the corrected action for confirmation, or null.
+// With several pending actions "that" is ambiguous, so the model decides.
+function resolveFollowUpLocally(message, pendingActions) {
+    const pendingAction = pendingActions.length === 1 ? pendingActions[0] : null;
+    if (!pendingAction) return null;
+    
+    const lower = withoutThousandsSeparators(message.toLowerCase().trim());
+    
+    // An edit or goal contribution only takes a new amount: "make it $6"
+    if (['UPDATE_TRANSACTION', 'CONTRIBUTE_GOAL'].includes(pendingAction.intent)) {
+        const newAmount = lower.match(/\$?(\d+(?:\.\d{1,2})?)/);
+        if (!newAmount || !(parseFloat(newAmount[1]) > 0)) return null;
+        const value = parseFloat(newAmount[1]);
+        const action = pendingAction.intent === 'CONTRIBUTE_GOAL'
+            ? { ...pendingAction.action, amount: value }
+            : { ...pendingAction.action, changes: { ...pendingAction.action.changes, amount: value } };
         return {
+            intent: pendingAction.intent,
+            confidence: 0.85,
+            action,
+            message: pendingAction.intent === 'CONTRIBUTE_GOAL'
+                ? `Updated: $${value.toFixed(2)} to your "${action.goal}" goal. Confirm?`
+                : `Updated: the new amount is $${value.toFixed(2)}. Confirm?`,
+            requiresConfirmation: true
+        };
+    }
+    if (!['ADD_TRANSACTION', 'SET_BUDGET'].includes(pendingAction.intent)) return null;
+    const action = { ...pendingAction.action };
+    let changed = false;
+    
+    const amount = lower.match(/\$?(\d+(?:\.\d{1,2})?)/);
+    if (amount && parseFloat(amount[1]) > 0) {
+        action.amount = parseFloat(amount[1]);
+        changed = true;
+    }
+    
+    const target = lower.match(/\b(?:to|in|into|under|as)\s+(?:the\s+)?([a-z& ]+?)(?:\s+(?:category|budget|instead|too))?[.!]?$/);
+    if (target) {
+        const word = target[1].trim();
+        const named = CATEGORY_NAMES[word] || Object.keys(CATEGORY_KEYWORDS).find(name => name.toLowerCase().startsWith(word));
+        const category = named || (detectCategory(word) !== 'Other' ? detectCategory(word) : null);
+        if (category) {
+            action.category = category;
+            if (pendingAction.intent === 'ADD_TRANSACTION') action.type = category === 'Income' ? 'income' : 'expense';
+            changed = true;
+        }
+    }
+    
+    if (pendingAction.intent === 'ADD_TRANSACTION') {
+        if (/\bincome\b/.test(lower)) {
+            Object.assign(action, { type: 'income', category: 'Income' });
+            changed = true;
+        } else if (/\b(?:expense|spent|spending)\b/.test(lower) && action.type === 'income') {
+            Object.assign(action, { type: 'expense', category: detectCategory(String(action.description || '')) });
+            changed = true;
+        }
+    } else {
+        const period = lower.match(/\b(weekly|monthly)\b/);
+        if (period) {
+            action.period = period[1];
+            changed = true;
+        }
+    }
+    
+    if (!changed) return null;
+    
+    const amountText = Number(action.amount).toFixed(2);
+    return {
+        intent: pendingAction.intent,
+        confidence: 0.85,
+        action,
+        message: pendingAction.intent === 'ADD_TRANSACTION'
+            ? `Updated: ${action.type} of $${amountText} for "${action.description}" (${action.category}). Confirm?`
+            : `Updated: ${action.category} budget of $${amountText}/${action.period === 'weekly' ? 'week' : 'month'}. Confirm?`,
+        requiresConfirmation: true
+    };
+}
+
+// Recent turns and the unconfirmed actions, as prompt text for the model
+function conversationPrompt(history, pendingActions) {
+    const lines = [];
+    if (history.length) {
+        lines.push('RECENT CONVERSATION (oldest first):');
+        for (const turn of history) {
+            lines.push(`${turn.role === 'user' ? 'User' : 'Assistant'}: ${JSON.stringify(turn.text)}`);
+        }
+    }
+    if (pendingActions.length) {
+        lines.push(`PENDING ACTIONS (proposed, not yet confirmed): ${JSON.stringify(pendingActions)}`);
+    }
+    return lines.length ? `${lines.join('\n')}\n\n` : '';
+}
+
+// Handles a message without the model when the rules can: corrections, then
+// commands. Returns null when the model (or the help text) should answer.
+function parseLocally(message, pendingActions, now) {
+    // A correction pointing at the unconfirmed action, or a bare "$60" or
+    // "weekly" that can only be one, comes first so "make that $60" is not
+    // taken for a new transaction
+    const correcting = pendingActions.length > 0 && (CORRECTION.test(message) || CORRECTION_FRAGMENT.test(message));
+    const followUp = correcting && resolveFollowUpLocally(message, pendingActions);
+    if (followUp) {
+        localParserHits.inc({ intent: followUp.intent });
+        logger.debug('Follow-up handled locally', { intent: followUp.intent });
+        return withActions(followUp);
+    }
+    
+    // Without AI, a correction the rules above couldn't apply is left to the
+    // checklist rather than read as a new command
+    if (!aiProvider && correcting) {
+        return withActions({
             intent: 'ANSWER',
             confidence: 1.0,
-            message: `I can help you with:\n• "Add $50 for groceries" - add transactions\n• "Set food budget to $500" - create budgets\n• "Create goal to save $1000 for vacation" - set goals\n• "Remind me about rent on the 1st" - add reminders\n\nFor more advanced questions, please add your Gemini API key to server-config.json`,
+            message: pendingActions.length > 1
+                ? 'Which action should change? Use the pencil next to it in the list above to edit it.'
+                : 'I couldn\'t apply that change. Edit the action above with its pencil, or cancel it and ask again.',
             requiresConfirmation: false
-        };
+        });
     }
+    
+    // Then try local parsing (works without AI), one command at a time. A
+    // message that reads as commands of its own ("also add $40 for gas") is
+    // new, even with an action pending.
+    const local = parseCommandsLocally(message, now);
+    for (const { intent } of local.actions) localParserHits.inc({ intent });
+    if (local.actions.length && !local.unparsed.length) {
+        logger.debug('Handled locally', { intents: local.actions.map(a => a.intent) });
+        const [first] = local.actions;
+        return ACTION_INTENTS.includes(first.intent) ? proposeActions(local.actions) : withActions(first);
+    }
+    
+    // Without AI, propose what could be read and say what could not
+    if (!aiProvider && local.actions.length) {
+        const result = proposeActions(local.actions);
+        const skipped = local.unparsed.map(command => `"${command}"`).join(', ');
+        return { ...result, message: `${result.message}\n\nI couldn't understand ${skipped}.` };
+    }
+    return null;
+}
 
-    try {
-        const prompt = `${AGENT_SYSTEM_PROMPT}
+// The aggregates the model asked for earlier in this turn, as prompt text
+function toolResultsPrompt(toolResults) {
+    if (!toolResults.length) return '';
+    const lines = toolResults.map(({ name, args, value }) =>
+        `- ${name} ${JSON.stringify(args)}: ${value === null ? 'the user declined to share this' : value}`);
+    const left = TOOL_CALLS_MAX - toolResults.length;
+    return `DATA YOU ASKED FOR (computed on the user's device):
+${lines.join('\n')}
+${left > 0 ? `You may ask for ${left} more.` : 'You may not ask for more; answer with what you have.'}
+
+`;
+}
 
-USER MESSAGE: "${message}"
+// Parse AI intent from a chat request ({ message, financialContext, history,
+// pendingActions, today, toolResults }). With stream ({ signal, onText }) the
+// message text is passed to onText while the model writes it. A REQUEST_DATA
+// reply carries tool; the client answers it by sending the request again with
+// the value added to toolResults.
+async function parseIntent({ message, financialContext = {}, history = [], pendingActions = [], today = null, toolResults = [] }, stream = null) {
+    // Dates are read on the user's calendar, not the server's
+    const now = today ? new Date(`${today}T12:00:00`) : new Date();
+    
+    // A message coming back with data the model asked for goes straight to it.
+    // Local results are held to the model's reply schema too; one that fails
+    // it (a budget for "xyz") is left to the model.
+    const local = toolResults.length && aiProvider ? null : parseLocally(message, pendingActions, now);
+    const localProblems = local ? checkModelOutput('agent', local) : [];
+    if (local && !localProblems.length) return local;
+    if (local) logger.warn('Local parse failed validation', { intent: local.intent, problems: localProblems });
 
+    // If no AI configured, provide helpful response
+    if (!aiProvider) {
+        return {
+            intent: 'ANSWER',
+            confidence: 1.0,
+            message: `I can help you with:\n• "Add $50 for groceries" - add transactions\n• "Set food budget to $500" - create budgets\n• "Create goal to save $1000 for vacation" - set goals\n• "Remind me about rent on the 1st" - add reminders\n\nFor more advanced questions, configure an AI provider in server-config.json`,
+            requiresConfirmation: false
+        };
+    }
+
+    try {
+        const prompt = `${conversationPrompt(history, pendingActions)}USER MESSAGE: "${message}"
+${today ? `TODAY: ${today}\n` : ''}
 FINANCIAL CONTEXT (anonymized):
 - Monthly expenses: $${financialContext.monthlyExpenses || 0}
 - Monthly income: $${financialContext.monthlyIncome || 0}
@@ -449,76 +1507,118 @@ FINANCIAL CONTEXT (anonymized):
 - Active goals: ${financialContext.goalCount || 0}
 - Top categories: ${JSON.stringify(financialContext.topCategories || [])}
 
-Respond with valid JSON only.`;
+${toolResultsPrompt(toolResults)}Respond with valid JSON only.`;
 
-        const result = await aiModel.generateContent(prompt);
-        const response = result.response.text();
+        const { value, error } = await generateChecked('agent', AGENT_SYSTEM_PROMPT, prompt, stream);
+        if (error) return agentFallback(error);
         
-        // Extract JSON from response
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
+        const { intent, confidence, action, actions, tool, message: reply, requiresConfirmation } = value;
+        if (intent === 'REQUEST_DATA') {
+            if (toolResults.length >= TOOL_CALLS_MAX) {
+                return {
+                    intent: 'ANSWER',
+                    confidence: 0.0,
+                    message: 'I couldn\'t answer that from the data shared so far. Try asking something narrower.',
+                    requiresConfirmation: false,
+                    actions: []
+                };
+            }
+            aiToolRequests.inc({ tool: tool.name });
+            return { intent, confidence, tool, message: reply, requiresConfirmation: false, actions: [] };
         }
-        
-        return {
-            intent: 'ANSWER',
-            confidence: 0.5,
-            message: response.replace(/```json|```/g, '').trim(),
-            requiresConfirmation: false
-        };
+        return withActions({ intent, confidence, action, actions, message: reply, requiresConfirmation });
     } catch (error) {
-        console.error('AI parsing error:', error.message);
-        // Fallback to helpful message
-        return {
-            intent: 'ANSWER',
-            confidence: 0.0,
-            message: `I couldn't process that with AI, but I can help with:\n• "Add $50 for groceries"\n• "Set food budget to $500"\n• "Create goal to save $1000"\n• "Remind me about rent on the 1st"`,
-            requiresConfirmation: false
-        };
+        if (stream?.signal.aborted) throw error;
+        logger.warn('AI parsing error', { error });
+        return agentFallback('The AI service could not be reached');
+    }
+}
+
+// Helpful message when the model could not answer; error says why
+function agentFallback(error) {
+    return {
+        intent: 'ANSWER',
+        confidence: 0.0,
+        message: `I couldn't process that with AI, but I can help with:\n• "Add $50 for groceries"\n• "Set food budget to $500"\n• "Create goal to save $1000"\n• "Remind me about rent on the 1st"`,
+        requiresConfirmation: false,
+        error
+    };
+}
+
+// The JSON object in a model reply (which may be fenced or wrapped in prose),
+// with the problems that keep it from matching the operation's schema
+function readModelReply(operation, reply) {
+    const match = reply.match(/\{[\s\S]*\}/);
+    if (!match) return { value: null, problems: ['reply is not a JSON object'] };
+    try {
+        const value = JSON.parse(match[0]);
+        return { value, problems: checkModelOutput(operation, value) };
+    } catch (error) {
+        return { value: null, problems: [`reply is not valid JSON (${error.message})`] };
     }
 }
 
+function repairPrompt(prompt, reply, problems) {
+    return `${prompt}
+
+Your previous reply could not be used:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+PREVIOUS REPLY:
+${reply.slice(0, 4000)}
+
+Answer again, fixing these problems. Respond with valid JSON only, in the format described above.`;
+}
+
+// Generates a reply and checks it against the operation's schema. An invalid
+// reply gets one repair round-trip where the model sees what was wrong with it.
+// Resolves to { value }, or to { error } with a reason fit for the user.
+async function generateChecked(operation, system, prompt, stream = null) {
+    const reply = stream
+        ? await streamText(operation, system, prompt, stream)
+        : await generateText(operation, system, prompt);
+    const first = readModelReply(operation, reply);
+    if (!first.problems.length) return { value: first.value };
+    
+    logger.warn('Invalid model reply, asking for a repair', { operation, problems: first.problems });
+    const repair = await generateText(operation, system, repairPrompt(prompt, reply, first.problems), stream?.signal);
+    const repaired = readModelReply(operation, repair);
+    aiInvalidReplies.inc({ operation, outcome: repaired.problems.length ? 'failed' : 'repaired' });
+    if (!repaired.problems.length) return { value: repaired.value };
+    
+    logger.warn('Model reply still invalid after repair', { operation, problems: repaired.problems });
+    return { error: `The AI's answer did not pass validation: ${repaired.problems.slice(0, 3).join('; ')}` };
+}
+
 // Generate proactive insights
 async function generateInsights(financialData) {
-    if (!aiModel) {
+    if (!aiProvider) {
         return { insights: [] };
     }
 
     try {
         const prompt = INSIGHTS_PROMPT.replace('{data}', JSON.stringify(financialData, null, 2));
-        const result = await aiModel.generateContent(prompt);
-        const response = result.response.text();
-        
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-        }
-        return { insights: [] };
+        const { value, error } = await generateChecked('insights', null, prompt);
+        return error ? { insights: [], error } : { insights: value.insights };
     } catch (error) {
-        console.error('Insights generation error:', error);
-        return { insights: [] };
+        logger.error('Insights generation error', { error });
+        return { insights: [], error: 'The AI service could not be reached' };
     }
 }
 
-// Generate spending predictions
+// Generate spending predictions -> { predictions, error }
 async function generatePredictions(financialData) {
-    if (!aiModel) {
-        return null;
+    if (!aiProvider) {
+        return { predictions: null };
     }
 
     try {
         const prompt = PREDICTION_PROMPT.replace('{data}', JSON.stringify(financialData, null, 2));
-        const result = await aiModel.generateContent(prompt);
-        const response = result.response.text();
-        
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-        }
-        return null;
+        const { value, error } = await generateChecked('predictions', null, prompt);
+        return { predictions: value || null, error };
     } catch (error) {
-        console.error('Prediction error:', error);
-        return null;
+        logger.error('Prediction error', { error });
+        return { predictions: null, error: 'The AI service could not be reached' };
     }
 }
 
@@ -530,22 +1630,114 @@ app.get('/api/health', (req, res) => {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         version: '3.0.0',
-        aiEnabled: !!aiModel
+        aiEnabled: !!aiProvider
     });
 });
 
-// Get encrypted data
-app.get('/api/data/:accountId', (req, res) => {
+// OpenAPI description of every route, generated from schemas.js
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument({ version: '3.0.0', serverUrl: `${req.protocol}://${req.get('host')}` }));
+});
+
+// Request an auth challenge for a vault
+app.post('/api/auth/challenge', authRateLimit, validate('POST /api/auth/challenge'), async (req, res) => {
     try {
-        const { accountId } = req.params;
+        const { accountId } = req.body;
+        
+        const vault = await readVault(accountId);
+        if (!vault || !vault.auth) {
+            return res.json({ registered: false, claimRequired: !!vault });
+        }
+        
+        const challenge = crypto.randomBytes(32).toString('hex');
+        authChallenges.set(challenge, { accountId, expiresAt: Date.now() + CHALLENGE_TTL });
+        
+        res.json({ registered: true, challenge, ...(vault.auth.key && { legacy: true }) });
+        
+    } catch (error) {
+        req.log.error('Error creating auth challenge', { error });
+        res.status(500).json({ error: 'Failed to create challenge' });
+    }
+});
+
+// Register the public key for a vault that has none yet
+app.post('/api/auth/register', authRateLimit, validate('POST /api/auth/register'), async (req, res) => {
+    try {
+        const { accountId, publicKey, claimCode } = req.body;
+        const auth = { publicKey, createdAt: new Date().toISOString() };
         
-        if (!accountId || typeof accountId !== 'string') {
-            return res.status(400).json({ error: 'Valid accountId required' });
+        const status = await withAccountLock(accountId, async () => {
+            const vault = await readVault(accountId);
+            if (!vault) return 'new';
+            if (vault.auth) return 'registered';
+            if (!isValidClaim(vault, claimCode)) return 'claimRequired';
+            
+            const { claim, ...claimed } = vault;
+            await writeVault(accountId, { ...claimed, auth });
+            return 'claimed';
+        });
+        
+        if (status === 'registered') {
+            return res.status(409).json({ error: 'Vault already registered' });
         }
+        if (status === 'claimRequired') {
+            return res.status(403).json({
+                error: 'This vault was stored before vault authentication. Ask the server operator for a claim code.',
+                claimRequired: true
+            });
+        }
+        
+        res.json(createSession(accountId, status === 'new' ? auth : null));
+        
+    } catch (error) {
+        req.log.error('Error registering vault auth', { error });
+        res.status(500).json({ error: 'Failed to register vault' });
+    }
+});
+
+// Exchange a signed challenge for a session token. Vaults still on an HMAC
+// key also sign with it, and their new public key replaces it.
+app.post('/api/auth/session', authRateLimit, validate('POST /api/auth/session'), async (req, res) => {
+    try {
+        const { accountId, challenge, signature, publicKey, legacySignature } = req.body;
+        
+        // Challenges are single-use
+        const pending = authChallenges.get(challenge);
+        authChallenges.delete(challenge);
+        
+        const vault = await readVault(accountId);
+        const auth = vault && vault.auth;
+        const valid = !!pending && pending.accountId === accountId && pending.expiresAt >= Date.now() && !!auth && (auth.key
+            ? !!publicKey && verifyLegacySignature(auth.key, challenge, legacySignature) && verifyChallengeSignature(publicKey, challenge, signature)
+            : verifyChallengeSignature(auth.publicKey, challenge, signature));
+        if (!valid) {
+            return res.status(401).json({ error: 'Invalid challenge response' });
+        }
+        
+        if (auth.key) {
+            await withAccountLock(accountId, async () => {
+                const current = await readVault(accountId);
+                if (!current || !current.auth || current.auth.key !== auth.key) return;
+                await writeVault(accountId, { ...current, auth: { publicKey, createdAt: auth.createdAt } });
+            });
+        }
+        
+        res.json(createSession(accountId));
+        
+    } catch (error) {
+        req.log.error('Error creating session', { error });
+        res.status(500).json({ error: 'Failed to create session' });
+    }
+});
+
+// Get encrypted data
+app.get('/api/data/:accountId', validate('GET /api/data/:accountId'), requireVaultAuth, countSyncPayload('pull'), async (req, res) => {
+    try {
+        const { accountId } = req.params;
         
-        const dataFile = path.join(DB_DIR, `${accountId}.json`);
+        const vault = await readVault(accountId);
         
-        if (!fs.existsSync(dataFile)) {
+        if (!vault) {
             return res.json({
                 transactions: [],
                 recurring_bills: [],
@@ -557,75 +1749,371 @@ app.get('/api/data/:accountId', (req, res) => {
             });
         }
         
-        const encryptedData = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+        res.setHeader('ETag', vaultEtag(vault));
         res.json({
-            ...encryptedData,
+            ...vaultCollections(await storage.readDocs(accountId)),
+            settings: vault.settings,
+            seq: vault.seq,
             lastSync: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('Error reading data:', error);
+        req.log.error('Error reading data', { error });
         res.status(500).json({ error: 'Failed to read data' });
     }
 });
 
-// Sync encrypted data
-app.post('/api/sync', validateSyncData, (req, res) => {
+// Get account descriptor (enrolls an existing vault on a new device)
+app.get('/api/account/:accountId', validate('GET /api/account/:accountId'), async (req, res) => {
     try {
-        const { transactions, recurring_bills, goals, budgets, reminders, settings, accountId } = req.body;
+        const { accountId } = req.params;
         
-        const dataFile = path.join(DB_DIR, `${accountId}.json`);
+        const vault = await readVault(accountId);
         
-        const encryptedData = {
-            transactions: transactions || [],
-            recurring_bills: recurring_bills || [],
-            goals: goals || [],
-            budgets: budgets || [],
-            reminders: reminders || [],
-            settings: settings || {},
-            lastSync: new Date().toISOString(),
-            syncCount: 0
-        };
+        if (!vault || !vault.account) {
+            return res.status(404).json({ error: 'Vault not found' });
+        }
         
-        if (fs.existsSync(dataFile)) {
-            try {
-                const existing = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
-                encryptedData.syncCount = (existing.syncCount || 0) + 1;
-            } catch (e) {
-                console.warn('Could not read existing sync count');
-            }
+        res.json({ accountId, ...vault.account });
+        
+    } catch (error) {
+        req.log.error('Error reading account descriptor', { error });
+        res.status(500).json({ error: 'Failed to read account' });
+    }
+});
+
+// Sync encrypted data (full snapshot)
+app.post('/api/sync', validate('POST /api/sync'), requireVaultAuth, countSyncPayload('push'), async (req, res) => {
+    try {
+        const { settings, accountId, account } = req.body;
+        
+        const result = await withAccountLock(accountId, async () => {
+            const existing = await readVault(accountId);
+            if (!sessionOwnsVault(req.vaultSession, existing)) return { unauthorized: true };
+            if (isStaleWrite(req, existing)) return null;
+            
+            const vault = existing || { ...emptyVault(), auth: req.vaultSession.auth };
+            const docs = Object.values(DOC_COLLECTIONS)
+                .flatMap(collection => req.body[collection] || [])
+                .filter(doc => doc && doc._id && doc._rev);
+            
+            const previous = existing && { ...existing };
+            const before = vaultUsage(accountId, existing);
+            const { changed } = await applyPushedDocs(accountId, vault, docs);
+            vault.settings = settings || vault.settings;
+            vault.account = account || vault.account;
+            
+            const after = vaultUsage(accountId, vault);
+            if (exceedsQuota(before, after)) return { usage: await storedUsage(accountId, previous), overQuota: true };
+            
+            vault.lastSync = new Date().toISOString();
+            vault.syncCount = existing ? (vault.syncCount || 0) + 1 : 0;
+            
+            if (previous && Object.keys(changed).length) await snapshotVault(accountId, previous, after);
+            await writeVault(accountId, vault, changed);
+            return { vault, usage: await storedUsage(accountId, vault) };
+        });
+        
+        if (!result) {
+            return sendStaleWrite(res, accountId);
+        }
+        
+        if (result.unauthorized) {
+            return res.status(401).json({ error: 'Vault authentication required' });
         }
         
-        const tempFile = dataFile + '.tmp';
-        fs.writeFileSync(tempFile, JSON.stringify(encryptedData, null, 2));
-        fs.renameSync(tempFile, dataFile);
+        if (result.overQuota) {
+            return sendQuotaExceeded(res, result.usage);
+        }
         
+        notifyVaultChanged(accountId, result.vault.seq);
+        res.setHeader('ETag', vaultEtag(result.vault));
         res.json({ 
             message: 'Data synced successfully',
-            syncCount: encryptedData.syncCount,
-            timestamp: encryptedData.lastSync
+            syncCount: result.vault.syncCount,
+            usage: result.usage,
+            timestamp: result.vault.lastSync
         });
         
     } catch (error) {
-        console.error('Error syncing data:', error);
+        req.log.error('Error syncing data', { error });
         res.status(500).json({ error: 'Failed to sync data' });
     }
 });
 
-// AI Agent Chat endpoint
-app.post('/api/agent/chat', agentRateLimit, async (req, res) => {
+// Get docs changed since a sequence number
+app.get('/api/changes/:accountId', validate('GET /api/changes/:accountId'), requireVaultAuth, countSyncPayload('pull'), async (req, res) => {
+    try {
+        const { accountId } = req.params;
+        
+        const vault = await readVault(accountId);
+        if (!vault) {
+            return res.json({ docs: [], lastSeq: 0, hasMore: false });
+        }
+        
+        // A checkpoint ahead of the server means the vault was recreated; start over
+        const requested = parseInt(req.query.since, 10) || 0;
+        const since = requested > vault.seq ? 0 : requested;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 500, 1000);
+        
+        // One extra entry tells whether there is another page; a client that
+        // is up to date costs no reads at all
+        const changed = since < vault.seq ? await storage.readChanges(accountId, since, limit + 1) : [];
+        const page = changed.slice(0, limit);
+        
+        res.setHeader('ETag', vaultEtag(vault));
+        res.json({
+            docs: page.flatMap(entryLeaves),
+            lastSeq: changed.length > limit ? page[page.length - 1].seq : vault.seq,
+            hasMore: changed.length > limit
+        });
+        
+    } catch (error) {
+        req.log.error('Error reading changes', { error });
+        res.status(500).json({ error: 'Failed to read changes' });
+    }
+});
+
+// Push changed docs
+app.post('/api/changes', validate('POST /api/changes'), requireVaultAuth, countSyncPayload('push'), async (req, res) => {
     try {
-        const { message, financialContext } = req.body;
+        const { accountId, docs, account } = req.body;
         
-        if (!message || typeof message !== 'string') {
-            return res.status(400).json({ error: 'Message is required' });
+        const result = await withAccountLock(accountId, async () => {
+            const existing = await readVault(accountId);
+            if (!sessionOwnsVault(req.vaultSession, existing)) return { unauthorized: true };
+            if (isStaleWrite(req, existing)) return null;
+            
+            const vault = existing || { ...emptyVault(), auth: req.vaultSession.auth };
+            const previous = existing && { ...existing };
+            const before = vaultUsage(accountId, existing);
+            const { accepted, conflicts, changed } = await applyPushedDocs(accountId, vault, docs);
+            const accountChanged = !!account && JSON.stringify(account) !== JSON.stringify(vault.account);
+            if (accountChanged) vault.account = account;
+            
+            const after = vaultUsage(accountId, vault);
+            if (exceedsQuota(before, after)) return { usage: await storedUsage(accountId, previous), overQuota: true };
+            
+            if (accepted.length > 0 || accountChanged) {
+                vault.lastSync = new Date().toISOString();
+                vault.syncCount = (vault.syncCount || 0) + 1;
+                if (previous && accepted.length) await snapshotVault(accountId, previous, after);
+                await writeVault(accountId, vault, changed);
+            }
+            return { vault, accepted, conflicts, usage: await storedUsage(accountId, vault) };
+        });
+        
+        if (!result) {
+            return sendStaleWrite(res, accountId);
         }
         
-        if (message.length > 1000) {
-            return res.status(400).json({ error: 'Message too long (max 1000 characters)' });
+        if (result.unauthorized) {
+            return res.status(401).json({ error: 'Vault authentication required' });
         }
         
-        const result = await parseIntent(message, financialContext || {});
+        if (result.overQuota) {
+            return sendQuotaExceeded(res, result.usage);
+        }
+        
+        if (result.accepted.length) notifyVaultChanged(accountId, result.vault.seq);
+        res.setHeader('ETag', vaultEtag(result.vault));
+        res.json({
+            message: 'Changes synced successfully',
+            accepted: result.accepted.length,
+            conflicts: result.conflicts,
+            lastSeq: result.vault.seq,
+            usage: result.usage,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        req.log.error('Error syncing changes', { error });
+        res.status(500).json({ error: 'Failed to sync changes' });
+    }
+});
+
+// Storage used by a vault against its quota
+app.get('/api/usage/:accountId', validate('GET /api/usage/:accountId'), requireVaultAuth, async (req, res) => {
+    try {
+        const { accountId } = req.params;
+        
+        res.json(await storedUsage(accountId, await readVault(accountId)));
+        
+    } catch (error) {
+        req.log.error('Error reading usage', { error });
+        res.status(500).json({ error: 'Failed to read usage' });
+    }
+});
+
+// List a vault's snapshots, newest first
+app.get('/api/snapshots/:accountId', validate('GET /api/snapshots/:accountId'), requireVaultAuth, async (req, res) => {
+    try {
+        const { accountId } = req.params;
+        
+        res.json({ snapshots: await storage.listSnapshots(accountId) });
+        
+    } catch (error) {
+        req.log.error('Error listing snapshots', { error });
+        res.status(500).json({ error: 'Failed to list snapshots' });
+    }
+});
+
+// Fetch the docs in a snapshot; the client decrypts them and decides what to restore
+app.get('/api/snapshots/:accountId/:snapshotId', validate('GET /api/snapshots/:accountId/:snapshotId'), requireVaultAuth, async (req, res) => {
+    try {
+        const { accountId, snapshotId } = req.params;
+        
+        const snapshot = await storage.readSnapshot(accountId, snapshotId);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        
+        const vault = upgradeVault(snapshot);
+        res.json({
+            id: snapshotId,
+            createdAt: new Date(Number(snapshotId)).toISOString(),
+            seq: vault.seq,
+            docs: Object.values(vault.docs).map(entry => entry.doc).filter(doc => !doc._deleted)
+        });
+        
+    } catch (error) {
+        req.log.error('Error reading snapshot', { error });
+        res.status(500).json({ error: 'Failed to read snapshot' });
+    }
+});
+
+// ===== LIVE CHANGE EVENTS =====
+
+// accountId -> Set of open event stream responses
+const eventStreams = new Map();
+const MAX_EVENT_STREAMS = 10; // per account
+const EVENT_HEARTBEAT = 25 * 1000;
+
+function countEventStreams() {
+    let count = 0;
+    for (const streams of eventStreams.values()) count += streams.size;
+    return count;
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Tells the account's open clients that the vault moved on. Only the sequence
+// number goes out; clients pull the docs themselves.
+function notifyVaultChanged(accountId, seq) {
+    for (const res of eventStreams.get(accountId) || []) {
+        sendEvent(res, 'change', { seq });
+    }
+}
+
+function closeEventStreams(accountId) {
+    for (const res of eventStreams.get(accountId) || []) res.end();
+}
+
+// Server-Sent Events stream of vault changes. It opens with the current
+// sequence so a reconnecting client can tell whether it missed anything, and
+// closes when the session expires; the client reconnects with a fresh token.
+app.get('/api/events/:accountId', validate('GET /api/events/:accountId'), requireVaultAuth, async (req, res) => {
+    try {
+        const { accountId } = req.params;
+        const vault = await readVault(accountId);
+        
+        // Looked up after the await so concurrent connects share one set
+        const streams = eventStreams.get(accountId) || new Set();
+        if (streams.size >= MAX_EVENT_STREAMS) {
+            return res.status(429).json({ error: 'Too many open event streams for this vault' });
+        }
+        
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+        sendEvent(res, 'change', { seq: vault ? vault.seq : 0 });
+        
+        streams.add(res);
+        eventStreams.set(accountId, streams);
+        
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_HEARTBEAT);
+        const expiry = setTimeout(() => res.end(), Math.max(0, req.vaultSession.expiresAt - Date.now()));
+        
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            clearTimeout(expiry);
+            streams.delete(res);
+            if (!streams.size) eventStreams.delete(accountId);
+        });
+        
+    } catch (error) {
+        req.log.error('Error opening event stream', { error });
+        res.status(500).json({ error: 'Failed to open event stream' });
+    }
+});
+
+// The client's If-Match no longer matches: it has to pull before writing
+async function sendStaleWrite(res, accountId) {
+    const vault = await readVault(accountId);
+    res.setHeader('ETag', vaultEtag(vault));
+    res.status(409).json({
+        error: 'Vault changed since your last pull',
+        version: vault ? vault.seq : 0
+    });
+}
+
+// The write would take the vault past its quota; nothing was stored
+function sendQuotaExceeded(res, usage) {
+    res.status(507).json({
+        error: 'Vault storage quota exceeded',
+        usage
+    });
+}
+
+// Streams a chat reply as Server-Sent Events: "delta" events carry pieces of
+// the message text, then one "result" event carries the whole reply with its
+// intent and action. Closing the connection stops the generation.
+async function streamAgentChat(req, res) {
+    const generation = new AbortController();
+    res.on('close', () => generation.abort());
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'X-Accel-Buffering': 'no'
+    });
+    
+    try {
+        let streamed = false;
+        const result = await parseIntent(req.body, {
+            signal: generation.signal,
+            onText: text => {
+                streamed = true;
+                sendEvent(res, 'delta', { text });
+            }
+        });
+        
+        // Local parser and canned replies arrive all at once
+        if (!streamed && result.message) sendEvent(res, 'delta', { text: result.message });
+        sendEvent(res, 'result', { ...result, timestamp: new Date().toISOString() });
+        
+    } catch (error) {
+        if (!generation.signal.aborted) {
+            req.log.error('Agent chat error', { error });
+            sendEvent(res, 'error', { error: 'AI service temporarily unavailable' });
+        }
+    }
+    res.end();
+}
+
+// AI Agent Chat endpoint; clients that accept text/event-stream get the reply streamed
+app.post('/api/agent/chat', agentRateLimit, validate('POST /api/agent/chat'), async (req, res) => {
+    if (req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+        return streamAgentChat(req, res);
+    }
+    
+    try {
+        const result = await parseIntent(req.body);
         
         res.json({
             ...result,
@@ -633,20 +2121,16 @@ app.post('/api/agent/chat', agentRateLimit, async (req, res) => {
         });
         
     } catch (error) {
-        console.error('Agent chat error:', error);
+        req.log.error('Agent chat error', { error });
         res.status(500).json({ error: 'AI service temporarily unavailable' });
     }
 });
 
 // Generate insights endpoint
-app.post('/api/agent/insights', agentRateLimit, async (req, res) => {
+app.post('/api/agent/insights', agentRateLimit, validate('POST /api/agent/insights'), async (req, res) => {
     try {
         const { financialData } = req.body;
         
-        if (!financialData) {
-            return res.status(400).json({ error: 'Financial data required' });
-        }
-        
         const insights = await generateInsights(financialData);
         
         res.json({
@@ -655,45 +2139,38 @@ app.post('/api/agent/insights', agentRateLimit, async (req, res) => {
         });
         
     } catch (error) {
-        console.error('Insights error:', error);
+        req.log.error('Insights error', { error });
         res.status(500).json({ error: 'Failed to generate insights' });
     }
 });
 
 // Predictions endpoint
-app.post('/api/agent/predict', agentRateLimit, async (req, res) => {
+app.post('/api/agent/predict', agentRateLimit, validate('POST /api/agent/predict'), async (req, res) => {
     try {
         const { financialData } = req.body;
         
-        if (!financialData) {
-            return res.status(400).json({ error: 'Financial data required' });
-        }
-        
-        const predictions = await generatePredictions(financialData);
+        const { predictions, error } = await generatePredictions(financialData);
         
         res.json({
             predictions,
+            ...(error && { error }),
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('Prediction error:', error);
+        req.log.error('Prediction error', { error });
         res.status(500).json({ error: 'Failed to generate predictions' });
     }
 });
 
 // Legacy chat endpoint (backward compatibility)
-app.post('/api/chat', chatRateLimit, async (req, res) => {
+app.post('/api/chat', chatRateLimit, validate('POST /api/chat'), async (req, res) => {
     try {
         const { message, financialData } = req.body;
         
-        if (!message || typeof message !== 'string') {
-            return res.status(400).json({ error: 'Message is required' });
-        }
-        
-        if (!aiModel) {
+        if (!aiProvider) {
             return res.status(503).json({ 
-                error: 'AI service not configured. Please set GEMINI_API_KEY.' 
+                error: 'AI service not configured. Set up the ai section of server-config.json.' 
             });
         }
         
@@ -702,12 +2179,9 @@ app.post('/api/chat', chatRateLimit, async (req, res) => {
         const userPrompt = `User: "${message}"
 Financial context: Monthly expenses $${financialData?.monthlyExpenses || 0}, ${financialData?.totalTransactions || 0} transactions.`;
         
-        const result = await aiModel.generateContent([
-            { role: 'user', parts: [{ text: systemPrompt }] },
-            { role: 'user', parts: [{ text: userPrompt }] }
-        ]);
+        const text = await generateText('chat', systemPrompt, userPrompt);
         
-        const response = result.response.text().replace(/\*\*/g, '').replace(/\*/g, '').trim();
+        const response = text.replace(/\*\*/g, '').replace(/\*/g, '').trim();
         
         res.json({ 
             response,
@@ -715,30 +2189,18 @@ Financial context: Monthly expenses $${financialData?.monthlyExpenses || 0}, ${f
         });
         
     } catch (error) {
-        console.error('Chat error:', error);
+        req.log.error('Chat error', { error });
         res.status(500).json({ error: 'AI service temporarily unavailable' });
     }
 });
 
 // Delete account data
-app.delete('/api/data/:accountId', (req, res) => {
+app.delete('/api/data/:accountId', validate('DELETE /api/data/:accountId'), requireVaultAuth, async (req, res) => {
     try {
         const { accountId } = req.params;
-        const { confirmDelete } = req.body;
         
-        if (!accountId || typeof accountId !== 'string') {
-            return res.status(400).json({ error: 'Valid accountId required' });
-        }
-        
-        if (confirmDelete !== 'DELETE_ALL_DATA') {
-            return res.status(400).json({ error: 'Confirmation string required' });
-        }
-        
-        const dataFile = path.join(DB_DIR, `${accountId}.json`);
-        
-        if (fs.existsSync(dataFile)) {
-            fs.unlinkSync(dataFile);
-        }
+        await withAccountLock(accountId, () => storage.delete(accountId));
+        revokeSessions(accountId);
         
         res.json({ 
             message: 'Account data deleted successfully',
@@ -746,65 +2208,256 @@ app.delete('/api/data/:accountId', (req, res) => {
         });
         
     } catch (error) {
-        console.error('Error deleting account data:', error);
+        req.log.error('Error deleting account data', { error });
         res.status(500).json({ error: 'Failed to delete account data' });
     }
 });
 
-// Admin stats
-app.get('/api/admin/stats', (req, res) => {
+// ===== ADMIN API =====
+
+// Server stats
+app.get('/api/admin/stats', adminRateLimit, requireAdmin('stats.read'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || authHeader !== 'Bearer admin-token') {
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
-        
-        const files = fs.readdirSync(DB_DIR).filter(f => f.endsWith('.json'));
+        const accounts = await storage.list();
         
         res.json({
-            totalAccounts: files.length,
+            totalAccounts: accounts.length,
+            storage: storage.name,
             serverUptime: process.uptime(),
             memoryUsage: process.memoryUsage(),
             nodeVersion: process.version,
-            aiEnabled: !!aiModel,
+            aiEnabled: !!aiProvider,
             lastRequest: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('Error getting stats:', error);
+        req.log.error('Error getting stats', { error });
         res.status(500).json({ error: 'Failed to get stats' });
     }
 });
 
+// Accounts with vault size and last sync
+app.get('/api/admin/accounts', adminRateLimit, requireAdmin('accounts.list'), async (req, res) => {
+    try {
+        const accounts = [];
+        for (const accountId of await storage.list()) {
+            accounts.push(await describeAccount(accountId));
+        }
+        accounts.sort((a, b) => String(b.lastActive).localeCompare(String(a.lastActive)));
+        
+        res.json({ accounts, total: accounts.length });
+        
+    } catch (error) {
+        req.log.error('Error listing accounts', { error });
+        res.status(500).json({ error: 'Failed to list accounts' });
+    }
+});
+
+// One-time code that lets the owner of a vault stored before vault auth
+// register a key for it; hand it over on a channel you trust
+app.post('/api/admin/accounts/:accountId/claim', adminRateLimit, requireAdmin('accounts.claim'), validate('POST /api/admin/accounts/:accountId/claim'), async (req, res) => {
+    try {
+        const { accountId } = req.params;
+        const claimCode = crypto.randomBytes(10).toString('hex');
+        const expiresAt = new Date(Date.now() + CLAIM_TTL).toISOString();
+        
+        const status = await withAccountLock(accountId, async () => {
+            const vault = await readVault(accountId);
+            if (!vault) return 'missing';
+            if (vault.auth) return 'registered';
+            await writeVault(accountId, { ...vault, claim: { hash: hashClaimCode(claimCode).toString('hex'), expiresAt } });
+            return 'issued';
+        });
+        
+        res.locals.audit = { accountId, issued: status === 'issued' };
+        if (status === 'missing') {
+            return res.status(404).json({ error: 'Vault not found' });
+        }
+        if (status === 'registered') {
+            return res.status(409).json({ error: 'Vault already registered' });
+        }
+        
+        res.json({ accountId, claimCode, expiresAt });
+        
+    } catch (error) {
+        req.log.error('Error issuing claim code', { error });
+        res.status(500).json({ error: 'Failed to issue claim code' });
+    }
+});
+
+// Delete accounts that have not synced for inactiveDays (dryRun only reports them)
+app.post('/api/admin/purge', adminRateLimit, requireAdmin('accounts.purge'), validate('POST /api/admin/purge'), async (req, res) => {
+    try {
+        const { inactiveDays, dryRun = false } = req.body;
+        
+        const cutoff = Date.now() - inactiveDays * 24 * 60 * 60 * 1000;
+        const stale = [];
+        for (const accountId of await storage.list()) {
+            const account = await describeAccount(accountId);
+            if (isInactiveSince(account, cutoff)) stale.push(account);
+        }
+        
+        const purged = [];
+        if (!dryRun) {
+            for (const { accountId } of stale) {
+                // A sync may have landed since the scan
+                const deleted = await withAccountLock(accountId, async () => {
+                    if (!isInactiveSince(await describeAccount(accountId), cutoff)) return false;
+                    await storage.delete(accountId);
+                    return true;
+                });
+                if (deleted) {
+                    revokeSessions(accountId);
+                    purged.push(accountId);
+                }
+            }
+        }
+        
+        res.locals.audit = { inactiveDays, dryRun: !!dryRun, matched: stale.map(a => a.accountId), purged };
+        res.json({
+            dryRun: !!dryRun,
+            inactiveDays,
+            matched: stale,
+            purged,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        req.log.error('Error purging accounts', { error });
+        res.status(500).json({ error: 'Failed to purge accounts' });
+    }
+});
+
+// Request counts per route since startup
+app.get('/api/admin/requests', adminRateLimit, requireAdmin('requests.read'), (req, res) => {
+    const routes = {};
+    for (const [, pairs, value] of httpRequests.samples()) {
+        const { method, route, status } = Object.fromEntries(pairs);
+        const stats = routes[`${method} ${route}`] ||= { count: 0, byStatus: {} };
+        stats.count += value;
+        stats.byStatus[status] = (stats.byStatus[status] || 0) + value;
+    }
+    
+    res.json({
+        since: serverStartedAt,
+        routes: Object.fromEntries(Object.entries(routes).sort(([a], [b]) => a.localeCompare(b)))
+    });
+});
+
+// Prometheus scrape target. Successful scrapes stay out of the audit log.
+app.get('/metrics', adminRateLimit, requireAdmin('metrics.read', { auditSuccess: false }), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Most recent admin audit entries, newest first
+app.get('/api/admin/audit', adminRateLimit, requireAdmin('audit.read'), validate('GET /api/admin/audit'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        const log = await fs.promises.readFile(ADMIN_AUDIT_FILE, 'utf8').catch(error => {
+            if (error.code === 'ENOENT') return '';
+            throw error;
+        });
+        
+        const entries = log.split('\n').filter(Boolean).slice(-limit).reverse().map(line => JSON.parse(line));
+        res.json({ entries });
+        
+    } catch (error) {
+        req.log.error('Error reading audit log', { error });
+        res.status(500).json({ error: 'Failed to read audit log' });
+    }
+});
+
+// ===== WEB CLIENT =====
+
+const CLIENT_DIR = path.resolve(__dirname, serverConfig.client.path);
+// Where index.html loads its libraries from
+const CDN_ORIGINS = ['https://cdn.tailwindcss.com', 'https://cdnjs.cloudflare.com', 'https://unpkg.com', 'https://cdn.jsdelivr.net'];
+
+// Inline scripts only run with the nonce of the response that carried them.
+// Styles keep 'unsafe-inline' because the Tailwind CDN build injects <style>
+// tags at runtime. connect-src also covers the CDNs the service worker
+// precaches and any sync servers on other origins (client.connectSrc).
+function clientCsp(nonce) {
+    return [
+        "default-src 'self'",
+        `script-src 'self'${nonce ? ` 'nonce-${nonce}'` : ''} ${CDN_ORIGINS.join(' ')}`,
+        "style-src 'self' 'unsafe-inline' https://cdnjs.cloudflare.com",
+        "font-src 'self' https://cdnjs.cloudflare.com",
+        "img-src 'self' data: blob:",
+        `connect-src 'self' ${[...CDN_ORIGINS, ...serverConfig.client.connectSrc].join(' ')}`,
+        "worker-src 'self'",
+        "manifest-src 'self'",
+        "object-src 'none'",
+        "base-uri 'none'",
+        "form-action 'none'",
+        "frame-ancestors 'none'"
+    ].join('; ');
+}
+
+// index.html is rendered per request to stamp a fresh nonce on its scripts and
+// tell the client that this server is its default sync server
+async function sendClientIndex(req, res, next) {
+    try {
+        const nonce = crypto.randomBytes(16).toString('base64');
+        const html = (await fs.promises.readFile(path.join(CLIENT_DIR, 'index.html'), 'utf8'))
+            .replace('<head>', '<head>\n    <meta name="guardfin-server" content="same-origin">')
+            .replace(/<script\b/g, `<script nonce="${nonce}"`);
+        
+        res.locals.route = 'static';
+        res.setHeader('Content-Security-Policy', clientCsp(nonce));
+        res.setHeader('Cache-Control', 'no-cache');
+        res.type('html').send(html);
+    } catch (error) {
+        next(error);
+    }
+}
+
+if (serverConfig.client.serve) {
+    // Nothing in client/ is fingerprinted, so code revalidates on every load
+    // (cheap with ETags); only icons are cached outright
+    const staticFiles = express.static(CLIENT_DIR, {
+        index: false,
+        setHeaders: (res, filePath) => {
+            res.locals.route = 'static';
+            res.setHeader('Content-Security-Policy', clientCsp());
+            res.setHeader('Cache-Control', /\.(png|ico|svg)$/.test(filePath) ? 'public, max-age=86400' : 'no-cache');
+        }
+    });
+    
+    app.use((req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+        if (req.path === '/' || req.path === '/index.html') return sendClientIndex(req, res, next);
+        staticFiles(req, res, next);
+    });
+}
+
 // ===== ERROR HANDLING =====
 
 app.use((req, res) => {
     res.status(404).json({ 
         error: 'Endpoint not found',
-        availableEndpoints: [
-            'GET /api/health',
-            'GET /api/data/:accountId',
-            'POST /api/sync',
-            'POST /api/agent/chat',
-            'POST /api/agent/insights',
-            'POST /api/agent/predict',
-            'POST /api/chat',
-            'DELETE /api/data/:accountId'
-        ]
+        availableEndpoints: Object.keys(ROUTES)
     });
 });
 
 app.use((error, req, res, next) => {
-    console.error('Server error:', error);
-    
     if (error.status === 413) {
+        req.log.warn('Payload too large', { error: error.message });
         return res.status(413).json({ error: 'Payload too large' });
     }
     
+    if (error.status === 403) {
+        req.log.warn('Origin not allowed', { origin: req.headers.origin });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+    
     if (error.type === 'entity.parse.failed') {
+        req.log.warn('Invalid JSON in request body', { error: error.message });
         return res.status(400).json({ error: 'Invalid JSON in request body' });
     }
     
+    req.log.error('Server error', { error });
+    
     res.status(500).json({ 
         error: 'Internal server error',
         timestamp: new Date().toISOString()
@@ -813,34 +2466,68 @@ app.use((error, req, res, next) => {
 
 // ===== SERVER STARTUP =====
 
-process.on('SIGTERM', () => {
-    console.log('Received SIGTERM, shutting down gracefully');
-    process.exit(0);
-});
+// Exits only once the log file has been flushed, so the last lines aren't lost
+async function shutdown(signal) {
+    console.log(`Received ${signal}, shutting down gracefully`);
+    await storage.close();
+    logger.close(() => process.exit(0));
+}
 
-process.on('SIGINT', () => {
-    console.log('Received SIGINT, shutting down gracefully');
-    process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
-app.listen(PORT, () => {
+// Every route needs an entry in schemas.js to be validated and documented
+const undocumented = app.router.stack
+    .filter(layer => layer.route)
+    .flatMap(({ route }) => Object.keys(route.methods).map(method => `${method.toUpperCase()} ${route.path}`))
+    .filter(key => !ROUTES[key]);
+if (undocumented.length) {
+    logger.warn('Routes missing from schemas.js', { routes: undocumented });
+}
+
+storage.init().then(splitStoredVaults).then(() => app.listen(PORT, () => {
     console.log(`\n🚀 Guardfin AI Server v3.0.0 running on http://localhost:${PORT}`);
-    console.log(`📁 Data directory: ${DB_DIR}`);
+    console.log(`📁 Storage: ${storage.name} (${storage.location})`);
+    if (serverConfig.client.serve) {
+        console.log(`🌐 Web client: http://localhost:${PORT}/ (from ${CLIENT_DIR})`);
+    }
     console.log(`🔧 Config file: ${CONFIG_FILE}`);
-    console.log(`🛡️  Security: Rate limiting, Input validation, CORS protection`);
+    console.log(`🛡️  Security: Vault auth, Rate limiting, Schema validation, CORS protection`);
+    
+    if (aiProvider) {
+        console.log(`✅ AI Agent enabled (${aiProvider.name}: ${aiProvider.model})`);
+    } else {
+        console.log('⚠️  AI Agent disabled - configure the ai section of server-config.json');
+    }
     
-    if (aiModel) {
-        console.log('✅ AI Agent enabled');
+    if (serverConfig.admin.secretHash) {
+        console.log('✅ Admin API enabled');
     } else {
-        console.log('⚠️  AI Agent disabled - configure API key in server-config.json');
+        console.log('⚠️  Admin API disabled - run "npm run set-admin-secret"');
     }
     
     console.log(`\n📋 Endpoints:`);
     console.log(`   GET  /api/health - Health check`);
+    console.log(`   GET  /api/openapi.json - OpenAPI description`);
+    console.log(`   POST /api/auth/challenge - Vault auth challenge`);
+    console.log(`   POST /api/auth/register - Register vault public key`);
+    console.log(`   POST /api/auth/session - Signed challenge -> session token`);
     console.log(`   GET  /api/data/:accountId - Fetch data`);
+    console.log(`   GET  /api/account/:accountId - Account descriptor for new devices`);
     console.log(`   POST /api/sync - Sync encrypted data`);
+    console.log(`   GET  /api/changes/:accountId - Docs changed since a sequence`);
+    console.log(`   POST /api/changes - Push changed docs`);
+    console.log(`   GET  /api/usage/:accountId - Vault storage usage and quota`);
+    console.log(`   GET  /api/events/:accountId - Live vault change events (SSE)`);
+    console.log(`   GET  /api/snapshots/:accountId - Vault version history`);
+    console.log(`   GET  /api/snapshots/:accountId/:snapshotId - Fetch a snapshot`);
+    console.log(`   GET  /api/admin/* - Admin API (stats, accounts, purge, requests, audit)`);
+    console.log(`   GET  /metrics - Prometheus metrics (admin)`);
     console.log(`   POST /api/agent/chat - AI agent chat`);
     console.log(`   POST /api/agent/insights - Generate insights`);
     console.log(`   POST /api/agent/predict - Spending predictions`);
     console.log(`\n🔒 All data encrypted client-side. Zero-knowledge architecture.`);
+})).catch(error => {
+    console.error('Failed to initialize storage:', error.message);
+    process.exit(1);
 });
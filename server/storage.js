@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Account ids are v4 UUIDs generated by the client. Anything else is rejected
+// before it reaches a backend, so ids never turn into paths or SQL.
+const ACCOUNT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+function isValidAccountId(accountId) {
+    return typeof accountId === 'string' && ACCOUNT_ID_PATTERN.test(accountId);
+}
+
+function assertAccountId(accountId) {
+    if (!isValidAccountId(accountId)) {
+        throw new Error('Invalid accountId');
+    }
+}
+
+// Snapshot ids are the millisecond timestamp they were taken at
+const SNAPSHOT_ID_PATTERN = /^\d{13}$/;
+
+function isValidSnapshotId(snapshotId) {
+    return typeof snapshotId === 'string' && SNAPSHOT_ID_PATTERN.test(snapshotId);
+}
+
+function assertSnapshotId(snapshotId) {
+    if (!isValidSnapshotId(snapshotId)) {
+        throw new Error('Invalid snapshot id');
+    }
+}
+
+function snapshotInfo(id, size) {
+    return { id, size, createdAt: new Date(Number(id)).toISOString() };
+}
+
+// Every backend stores a vault as one small record of account metadata (its
+// change sequence, settings, descriptor and auth) plus one record per doc, so
+// a sync writes only the docs it changed. Doc entries are opaque here: the
+// server reads their seq, and only to page through changes.
+//   init()                  prepare the backend
+//   readMeta(accountId)     -> metadata | null
+//   readDocs(accountId, ids)             -> { [docId]: entry }, every doc when ids is omitted
+//   readChanges(accountId, since, limit) -> [entry] with seq > since, oldest first
+//   write(accountId, meta, entries)      stores meta and upserts the given { [docId]: entry }
+//   delete(accountId)       also removes the account's docs and snapshots
+//   list()                  -> [accountId]
+//   stat(accountId)         -> { size, updatedAt } | null
+//   writeSnapshot(accountId, snapshotId, vault)
+//   readSnapshot(accountId, snapshotId)   -> vault | null
+//   listSnapshots(accountId)              -> [{ id, size, createdAt }], newest first
+//   deleteSnapshot(accountId, snapshotId)
+//   close()
+// Vaults written before per-doc storage are a single metadata record that
+// still holds every doc; the server splits them up when it starts.
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Writes through a temp file so readers never see half a record
+async function writeJson(file, value) {
+    const tempFile = file + '.tmp';
+    await fs.promises.writeFile(tempFile, JSON.stringify(value));
+    await fs.promises.rename(tempFile, file);
+}
+
+// One JSON file per account plus a directory with one file per doc (the default)
+class FileStorage {
+    constructor({ path: dir }) {
+        this.name = 'filesystem';
+        this.location = dir;
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.location, { recursive: true });
+    }
+
+    file(accountId) {
+        assertAccountId(accountId);
+        return path.join(this.location, `${accountId}.json`);
+    }
+
+    docDir(accountId) {
+        assertAccountId(accountId);
+        return path.join(this.location, 'docs', accountId);
+    }
+
+    // Doc ids come from clients, so files are named after their hash
+    docFile(accountId, docId) {
+        const name = crypto.createHash('sha256').update(docId).digest('hex');
+        return path.join(this.docDir(accountId), `${name}.json`);
+    }
+
+    // { [docId]: seq } for the account's docs, so a pull reads only the doc
+    // files that changed. No .json suffix keeps it out of readAllDocs.
+    seqIndexFile(accountId) {
+        return path.join(this.docDir(accountId), 'seq-index');
+    }
+
+    async readMeta(accountId) {
+        return readJson(this.file(accountId));
+    }
+
+    async readDocs(accountId, ids) {
+        const docs = Object.create(null);
+        if (!ids) {
+            for (const entry of await this.readAllDocs(accountId)) docs[entry.doc._id] = entry;
+            return docs;
+        }
+        for (const id of ids) {
+            const entry = await readJson(this.docFile(accountId, id));
+            if (entry) docs[id] = entry;
+        }
+        return docs;
+    }
+
+    async readAllDocs(accountId) {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.docDir(accountId));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const entries = [];
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            const entry = await readJson(path.join(this.docDir(accountId), file));
+            if (entry) entries.push(entry);
+        }
+        return entries;
+    }
+
+    // Vaults split before the seq index existed get one on their next write;
+    // until then their changes are found by reading every doc
+    async readChanges(accountId, since, limit) {
+        const index = await readJson(this.seqIndexFile(accountId));
+        if (!index) {
+            return (await this.readAllDocs(accountId))
+                .filter(entry => entry.seq > since)
+                .sort((a, b) => a.seq - b.seq)
+                .slice(0, limit);
+        }
+        const ids = Object.keys(index)
+            .filter(id => index[id] > since)
+            .sort((a, b) => index[a] - index[b])
+            .slice(0, limit);
+        return Object.values(await this.readDocs(accountId, ids)).sort((a, b) => a.seq - b.seq);
+    }
+
+    // Docs go first, then their seq index: a crash in between leaves docs the
+    // metadata doesn't count yet, never metadata pointing at docs that were
+    // not written
+    async write(accountId, meta, entries = {}) {
+        const ids = Object.keys(entries);
+        if (ids.length) {
+            await fs.promises.mkdir(this.docDir(accountId), { recursive: true });
+            for (const id of ids) {
+                await writeJson(this.docFile(accountId, id), entries[id]);
+            }
+            // A Map, since doc ids come from clients and may be "__proto__"
+            const stored = await readJson(this.seqIndexFile(accountId));
+            const index = stored
+                ? new Map(Object.entries(stored))
+                : new Map((await this.readAllDocs(accountId)).map(entry => [entry.doc._id, entry.seq]));
+            for (const id of ids) index.set(id, entries[id].seq);
+            await writeJson(this.seqIndexFile(accountId), Object.fromEntries(index));
+        }
+        await writeJson(this.file(accountId), meta);
+    }
+
+    async delete(accountId) {
+        await fs.promises.rm(this.file(accountId), { force: true });
+        await fs.promises.rm(this.docDir(accountId), { recursive: true, force: true });
+        await fs.promises.rm(this.snapshotDir(accountId), { recursive: true, force: true });
+    }
+
+    async list() {
+        const files = await fs.promises.readdir(this.location);
+        return files
+            .filter(f => f.endsWith('.json'))
+            .map(f => f.slice(0, -'.json'.length))
+            .filter(isValidAccountId);
+    }
+
+    async stat(accountId) {
+        let stats;
+        try {
+            stats = await fs.promises.stat(this.file(accountId));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        let size = stats.size;
+        const files = await fs.promises.readdir(this.docDir(accountId)).catch(() => []);
+        for (const file of files) {
+            size += (await fs.promises.stat(path.join(this.docDir(accountId), file))).size;
+        }
+        return { size, updatedAt: stats.mtime.toISOString() };
+    }
+
+    snapshotDir(accountId) {
+        assertAccountId(accountId);
+        return path.join(this.location, 'snapshots', accountId);
+    }
+
+    snapshotFile(accountId, snapshotId) {
+        assertSnapshotId(snapshotId);
+        return path.join(this.snapshotDir(accountId), `${snapshotId}.json`);
+    }
+
+    async writeSnapshot(accountId, snapshotId, vault) {
+        await fs.promises.mkdir(this.snapshotDir(accountId), { recursive: true });
+        await writeJson(this.snapshotFile(accountId, snapshotId), vault);
+    }
+
+    async readSnapshot(accountId, snapshotId) {
+        return readJson(this.snapshotFile(accountId, snapshotId));
+    }
+
+    async listSnapshots(accountId) {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.snapshotDir(accountId));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const snapshots = [];
+        for (const id of files.filter(f => f.endsWith('.json')).map(f => f.slice(0, -'.json'.length))) {
+            if (!isValidSnapshotId(id)) continue;
+            const stats = await fs.promises.stat(this.snapshotFile(accountId, id));
+            snapshots.push(snapshotInfo(id, stats.size));
+        }
+        return snapshots.sort((a, b) => b.id.localeCompare(a.id));
+    }
+
+    async deleteSnapshot(accountId, snapshotId) {
+        await fs.promises.rm(this.snapshotFile(accountId, snapshotId), { force: true });
+    }
+
+    async close() {}
+}
+
+// Single embedded database file, for instances with many accounts
+class SqliteStorage {
+    constructor({ path: file }) {
+        this.name = 'sqlite';
+        this.location = file;
+        this.db = null;
+    }
+
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite storage needs the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        await fs.promises.mkdir(path.dirname(this.location), { recursive: true });
+        this.db = new Database(this.location);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS vaults (
+                account_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS docs (
+                account_id TEXT NOT NULL,
+                id TEXT NOT NULL,
+                seq INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (account_id, id)
+            );
+            CREATE INDEX IF NOT EXISTS docs_by_seq ON docs (account_id, seq);
+            CREATE TABLE IF NOT EXISTS snapshots (
+                account_id TEXT NOT NULL,
+                id TEXT NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (account_id, id)
+            );
+        `);
+    }
+
+    async readMeta(accountId) {
+        assertAccountId(accountId);
+        const row = this.db.prepare('SELECT data FROM vaults WHERE account_id = ?').get(accountId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async readDocs(accountId, ids) {
+        assertAccountId(accountId);
+        const rows = ids
+            ? ids.map(id => this.db.prepare('SELECT id, data FROM docs WHERE account_id = ? AND id = ?').get(accountId, id)).filter(Boolean)
+            : this.db.prepare('SELECT id, data FROM docs WHERE account_id = ?').all(accountId);
+        return Object.fromEntries(rows.map(row => [row.id, JSON.parse(row.data)]));
+    }
+
+    async readChanges(accountId, since, limit) {
+        assertAccountId(accountId);
+        return this.db.prepare('SELECT data FROM docs WHERE account_id = ? AND seq > ? ORDER BY seq LIMIT ?')
+            .all(accountId, since, limit)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async write(accountId, meta, entries = {}) {
+        assertAccountId(accountId);
+        const upsertDoc = this.db.prepare(`
+            INSERT INTO docs (account_id, id, seq, data) VALUES (?, ?, ?, ?)
+            ON CONFLICT(account_id, id) DO UPDATE SET seq = excluded.seq, data = excluded.data
+        `);
+        this.db.transaction(() => {
+            for (const [id, entry] of Object.entries(entries)) {
+                upsertDoc.run(accountId, id, entry.seq, JSON.stringify(entry));
+            }
+            this.db.prepare(`
+                INSERT INTO vaults (account_id, data, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(account_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+            `).run(accountId, JSON.stringify(meta), new Date().toISOString());
+        })();
+    }
+
+    async delete(accountId) {
+        assertAccountId(accountId);
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM vaults WHERE account_id = ?').run(accountId);
+            this.db.prepare('DELETE FROM docs WHERE account_id = ?').run(accountId);
+            this.db.prepare('DELETE FROM snapshots WHERE account_id = ?').run(accountId);
+        })();
+    }
+
+    async list() {
+        return this.db.prepare('SELECT account_id FROM vaults').all().map(row => row.account_id);
+    }
+
+    async stat(accountId) {
+        assertAccountId(accountId);
+        const row = this.db.prepare(`
+            SELECT length(data) + (SELECT coalesce(sum(length(data)), 0) FROM docs WHERE account_id = vaults.account_id) AS size, updated_at
+            FROM vaults WHERE account_id = ?
+        `).get(accountId);
+        return row ? { size: row.size, updatedAt: row.updated_at } : null;
+    }
+
+    async writeSnapshot(accountId, snapshotId, vault) {
+        assertAccountId(accountId);
+        assertSnapshotId(snapshotId);
+        this.db.prepare('INSERT OR REPLACE INTO snapshots (account_id, id, data) VALUES (?, ?, ?)')
+            .run(accountId, snapshotId, JSON.stringify(vault));
+    }
+
+    async readSnapshot(accountId, snapshotId) {
+        assertAccountId(accountId);
+        assertSnapshotId(snapshotId);
+        const row = this.db.prepare('SELECT data FROM snapshots WHERE account_id = ? AND id = ?').get(accountId, snapshotId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listSnapshots(accountId) {
+        assertAccountId(accountId);
+        return this.db.prepare('SELECT id, length(data) AS size FROM snapshots WHERE account_id = ? ORDER BY id DESC')
+            .all(accountId)
+            .map(row => snapshotInfo(row.id, row.size));
+    }
+
+    async deleteSnapshot(accountId, snapshotId) {
+        assertAccountId(accountId);
+        assertSnapshotId(snapshotId);
+        this.db.prepare('DELETE FROM snapshots WHERE account_id = ? AND id = ?').run(accountId, snapshotId);
+    }
+
+    async close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+}
+
+const BACKENDS = {
+    filesystem: { Storage: FileStorage, defaultPath: 'secure-data' },
+    sqlite: { Storage: SqliteStorage, defaultPath: 'secure-data/vaults.db' }
+};
+
+// options: { backend: 'filesystem' | 'sqlite', path } with path relative to baseDir
+function createStorage(options = {}, baseDir = __dirname) {
+    const backend = BACKENDS[options.backend || 'filesystem'];
+    if (!backend) {
+        throw new Error(`Unknown storage backend: ${options.backend}`);
+    }
+    return new backend.Storage({ path: path.resolve(baseDir, options.path || backend.defaultPath) });
+}
+
+module.exports = {
+    createStorage,
+    FileStorage,
+    SqliteStorage,
+    isValidAccountId,
+    isValidSnapshotId,
+    ACCOUNT_ID_PATTERN,
+    SNAPSHOT_ID_PATTERN
+};